@@ -0,0 +1,533 @@
+import { createHash, createHmac, createPublicKey, createSign, JsonWebKey, KeyObject, timingSafeEqual, verify as verifySignature } from 'crypto';
+import { readFile } from 'fs/promises';
+import { FastifyReply, FastifyRequest } from 'fastify';
+import { getRequestContextValue, setRequestContextValue } from './request-context.js';
+import { ResponseError } from './response.js';
+import { AppOptions } from './types.js';
+import type { AuthorizationOptions } from './authorization.js';
+
+/**
+ * Authenticated principal, available as `req.user`. Augment it to type the user of your app:
+ * @example
+ * ```typescript
+ * declare module '@tsdiapi/server' {
+ *     interface AuthUser { id: string; email: string; roles: string[] }
+ * }
+ * ```
+ */
+export interface AuthUser {
+    [key: string]: unknown;
+}
+
+export type AuthStrategyName = 'bearer' | 'basic' | 'apiKey' | (string & {});
+
+export type SecurityScheme = {
+    type: 'http' | 'apiKey' | 'oauth2' | 'openIdConnect';
+    scheme?: string;
+    bearerFormat?: string;
+    in?: 'header' | 'query' | 'cookie';
+    name?: string;
+    description?: string;
+}
+
+/**
+ * Verifies credentials of a request
+ */
+export interface AuthStrategy {
+    /**
+     * OpenAPI security scheme documented for routes using the strategy
+     */
+    securityScheme: SecurityScheme;
+    /**
+     * `WWW-Authenticate` challenge sent with 401 responses, e.g. `Bearer`
+     */
+    challenge?: string;
+    /**
+     * @returns the principal, or null when the request carries no credentials for this strategy
+     * @throws ResponseError(401) for invalid credentials
+     */
+    authenticate(req: FastifyRequest): Promise<AuthUser | null> | AuthUser | null;
+}
+
+export type JwtAlgorithm = 'HS256' | 'HS384' | 'HS512' | 'RS256' | 'RS384' | 'RS512';
+
+export type JwtClaims = {
+    sub?: string;
+    iss?: string;
+    aud?: string | string[];
+    exp?: number;
+    nbf?: number;
+    iat?: number;
+    [claim: string]: unknown;
+}
+
+export type JsonWebKeySet = {
+    keys: Array<JsonWebKey & { kid?: string; alg?: string; use?: string }>;
+}
+
+export type JwtVerifyOptions = {
+    /**
+     * Shared secret for HS256/HS384/HS512
+     */
+    secret?: string | Buffer;
+    /**
+     * PEM public key (or KeyObject) for RS256/RS384/RS512
+     */
+    publicKey?: string | Buffer | KeyObject;
+    /**
+     * Key set for RS256/RS384/RS512 selected by `kid`, or the path of a JWKS JSON file
+     */
+    jwks?: JsonWebKeySet | string;
+    /**
+     * Accepted algorithms
+     * @default HS256 with `secret`, RS256 with `publicKey`/`jwks`
+     */
+    algorithms?: JwtAlgorithm[];
+    issuer?: string | string[];
+    audience?: string | string[];
+    /**
+     * Allowed clock skew for `exp`/`nbf`, in seconds
+     * @default 0
+     */
+    clockTolerance?: number;
+}
+
+export type JwtStrategyOptions = JwtVerifyOptions & {
+    /**
+     * Principal for verified claims, return null to reject the token
+     * @default the claims with `id` set to `sub`
+     */
+    mapUser?: (claims: JwtClaims, req: FastifyRequest) => AuthUser | null | Promise<AuthUser | null>;
+}
+
+export type BasicStrategyOptions = {
+    /**
+     * @returns the principal, or null for unknown users and wrong passwords
+     */
+    verify: (username: string, password: string, req: FastifyRequest) => AuthUser | null | Promise<AuthUser | null>;
+    /**
+     * @default 'api'
+     */
+    realm?: string;
+}
+
+export type ApiKeyStrategyOptions = {
+    /**
+     * @default 'x-api-key'
+     */
+    header?: string;
+    /**
+     * Also accept the key from this query parameter
+     */
+    query?: string;
+    /**
+     * Principal for a key, return null for unknown keys
+     */
+    lookup?: (key: string, req: FastifyRequest) => AuthUser | null | Promise<AuthUser | null>;
+    /**
+     * Static keys and their principals, used when `lookup` is not set
+     */
+    keys?: Record<string, AuthUser>;
+}
+
+export type AuthOptions = {
+    /**
+     * JWT verification for `.auth('bearer')`
+     */
+    jwt?: JwtStrategyOptions;
+    /**
+     * Username/password verification for `.auth('basic')`
+     */
+    basic?: BasicStrategyOptions;
+    /**
+     * Key lookup for `.auth('apiKey')`
+     */
+    apiKey?: ApiKeyStrategyOptions;
+    /**
+     * Additional or replacing strategies by name
+     */
+    strategies?: Record<string, AuthStrategy>;
+    /**
+     * Where `.roles()` and `.permissions()` read roles and permissions of `req.user`
+     */
+    authorization?: AuthorizationOptions;
+    /**
+     * Let requests to `.auth()` routes without a registered strategy through to the route guards,
+     * which then have to verify the credentials themselves (legacy guard-only mode).
+     * Routes passing a guard to `.auth(type, guard)` always fall back to it.
+     * @default false - bare `.auth(type)` routes without a registered strategy reject requests with 401
+     */
+    guardOnly?: boolean;
+}
+
+const defaultAuth: AuthOptions = {}
+
+export function setupAuth(authOptions?: AppOptions['authOptions']): AuthOptions {
+    let options: AuthOptions = defaultAuth;
+    if ('function' === typeof authOptions) {
+        options = authOptions(defaultAuth);
+    } else if ('object' === typeof authOptions) {
+        options = { ...defaultAuth, ...authOptions };
+    }
+    return options;
+}
+
+const HASHES: Record<JwtAlgorithm, string> = {
+    HS256: 'sha256',
+    HS384: 'sha384',
+    HS512: 'sha512',
+    RS256: 'RSA-SHA256',
+    RS384: 'RSA-SHA384',
+    RS512: 'RSA-SHA512'
+}
+
+const base64UrlJson = (value: unknown) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function decodeSegment<T>(segment: string, name: string): T {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8')) as T;
+    } catch {
+        throw new ResponseError(401, `Invalid token: malformed ${name}`);
+    }
+}
+
+function safeEqual(a: Buffer, b: Buffer): boolean {
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Key sets read from files are cached and re-read at most once a minute when a `kid` is unknown
+ */
+const jwksFiles = new Map<string, { keys: Map<string, KeyObject>; loadedAt: number }>();
+
+async function loadJwks(jwks: JsonWebKeySet | string, kid: string | undefined): Promise<KeyObject | undefined> {
+    const toKeys = (set: JsonWebKeySet) => new Map(
+        (set.keys || [])
+            .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+            .map((jwk, index) => [jwk.kid ?? String(index), createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    let keys: Map<string, KeyObject>;
+    if (typeof jwks === 'string') {
+        let cached = jwksFiles.get(jwks);
+        const stale = !cached || (kid !== undefined && !cached.keys.has(kid) && Date.now() - cached.loadedAt > 60000);
+        if (stale) {
+            cached = { keys: toKeys(JSON.parse(await readFile(jwks, 'utf8'))), loadedAt: Date.now() };
+            jwksFiles.set(jwks, cached);
+        }
+        keys = cached.keys;
+    } else {
+        keys = toKeys(jwks);
+    }
+    if (kid !== undefined) return keys.get(kid);
+    // Tokens without kid are accepted only for single-key sets
+    return keys.size === 1 ? keys.values().next().value : undefined;
+}
+
+/**
+ * Verify signature and registered claims of a compact JWS token
+ * @throws ResponseError(401) describing why the token was rejected
+ */
+export async function verifyJwt(token: string, options: JwtVerifyOptions): Promise<JwtClaims> {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new ResponseError(401, 'Invalid token: malformed');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment<{ alg?: string; kid?: string; typ?: string }>(encodedHeader, 'header');
+    const algorithms = options.algorithms || [...(options.secret ? ['HS256'] : []), ...(options.publicKey || options.jwks ? ['RS256'] : [])];
+    const algorithm = header.alg as JwtAlgorithm;
+    if (!algorithm || !HASHES[algorithm] || !algorithms.includes(algorithm)) {
+        throw new ResponseError(401, `Invalid token: algorithm ${header.alg} is not accepted`);
+    }
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    let valid = false;
+    if (algorithm.startsWith('HS')) {
+        // HMAC keys never come from the public key options, which prevents algorithm confusion
+        if (!options.secret) {
+            throw new ResponseError(401, `Invalid token: no secret configured for ${algorithm}`);
+        }
+        valid = safeEqual(createHmac(HASHES[algorithm], options.secret).update(signingInput).digest(), signature);
+    } else {
+        const key = options.publicKey
+            ? (options.publicKey instanceof KeyObject ? options.publicKey : createPublicKey(options.publicKey))
+            : options.jwks ? await loadJwks(options.jwks, header.kid) : undefined;
+        if (!key) {
+            throw new ResponseError(401, `Invalid token: unknown signing key${header.kid ? ` "${header.kid}"` : ''}`);
+        }
+        valid = verifySignature(HASHES[algorithm], Buffer.from(signingInput), key, signature);
+    }
+    if (!valid) {
+        throw new ResponseError(401, 'Invalid token: bad signature');
+    }
+
+    const claims = decodeSegment<JwtClaims>(encodedPayload, 'payload');
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = options.clockTolerance ?? 0;
+    if (typeof claims.exp === 'number' && now - tolerance >= claims.exp) {
+        throw new ResponseError(401, 'Invalid token: expired');
+    }
+    if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+        throw new ResponseError(401, 'Invalid token: not active yet');
+    }
+    if (options.issuer) {
+        const issuers = Array.isArray(options.issuer) ? options.issuer : [options.issuer];
+        if (!claims.iss || !issuers.includes(claims.iss)) {
+            throw new ResponseError(401, 'Invalid token: unexpected issuer');
+        }
+    }
+    if (options.audience) {
+        const expected = Array.isArray(options.audience) ? options.audience : [options.audience];
+        const actual = Array.isArray(claims.aud) ? claims.aud : claims.aud ? [claims.aud] : [];
+        if (!actual.some(audience => expected.includes(audience))) {
+            throw new ResponseError(401, 'Invalid token: unexpected audience');
+        }
+    }
+    return claims;
+}
+
+/**
+ * Issue a token, e.g. from a login route or in tests
+ * @example
+ * ```typescript
+ * const token = signJwt({ sub: user.id, roles: user.roles }, { secret: process.env.JWT_SECRET, expiresIn: 3600 });
+ * ```
+ */
+export function signJwt(
+    claims: JwtClaims,
+    options: { secret?: string | Buffer; privateKey?: string | Buffer | KeyObject; algorithm?: JwtAlgorithm; expiresIn?: number; keyId?: string }
+): string {
+    const algorithm = options.algorithm || (options.privateKey ? 'RS256' : 'HS256');
+    const now = Math.floor(Date.now() / 1000);
+    const payload: JwtClaims = {
+        iat: now,
+        ...(options.expiresIn ? { exp: now + options.expiresIn } : {}),
+        ...claims
+    };
+    const signingInput = `${base64UrlJson({ alg: algorithm, typ: 'JWT', ...(options.keyId ? { kid: options.keyId } : {}) })}.${base64UrlJson(payload)}`;
+    let signature: Buffer;
+    if (algorithm.startsWith('HS')) {
+        if (!options.secret) throw new Error(`signJwt: ${algorithm} requires a secret`);
+        signature = createHmac(HASHES[algorithm], options.secret).update(signingInput).digest();
+    } else {
+        if (!options.privateKey) throw new Error(`signJwt: ${algorithm} requires a private key`);
+        signature = createSign(HASHES[algorithm]).update(signingInput).sign(options.privateKey);
+    }
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function authorizationCredentials(req: FastifyRequest, scheme: string): string | undefined {
+    const header = req.headers.authorization;
+    if (!header) return undefined;
+    const [type, ...rest] = header.trim().split(/\s+/);
+    return type.toLowerCase() === scheme.toLowerCase() && rest.length ? rest.join(' ') : undefined;
+}
+
+/**
+ * `Authorization: Bearer <jwt>` verified with a secret (HS*), a public key or a JWKS (RS*)
+ */
+export function jwtStrategy(options: JwtStrategyOptions): AuthStrategy {
+    if (!options.secret && !options.publicKey && !options.jwks) {
+        throw new Error('jwtStrategy requires a secret, publicKey or jwks');
+    }
+    return {
+        securityScheme: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        challenge: 'Bearer',
+        async authenticate(req) {
+            const token = authorizationCredentials(req, 'bearer');
+            if (!token) return null;
+            const claims = await verifyJwt(token, options);
+            if (options.mapUser) {
+                const user = await options.mapUser(claims, req);
+                if (!user) throw new ResponseError(401, 'Invalid token');
+                return user;
+            }
+            return { id: claims.sub, ...claims };
+        }
+    };
+}
+
+/**
+ * `Authorization: Basic <base64(username:password)>` checked by a verifier callback
+ */
+export function basicStrategy(options: BasicStrategyOptions): AuthStrategy {
+    const realm = options.realm || 'api';
+    return {
+        securityScheme: { type: 'http', scheme: 'basic' },
+        challenge: `Basic realm="${realm.replace(/"/g, '')}", charset="UTF-8"`,
+        async authenticate(req) {
+            const encoded = authorizationCredentials(req, 'basic');
+            if (!encoded) return null;
+            const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            if (separator === -1) {
+                throw new ResponseError(401, 'Invalid credentials');
+            }
+            const user = await options.verify(decoded.slice(0, separator), decoded.slice(separator + 1), req);
+            if (!user) {
+                throw new ResponseError(401, 'Invalid credentials');
+            }
+            return user;
+        }
+    };
+}
+
+/**
+ * API key from a header (and optionally a query parameter) resolved by `lookup` or a static `keys` map
+ */
+export function apiKeyStrategy(options: ApiKeyStrategyOptions): AuthStrategy {
+    if (!options.lookup && !options.keys) {
+        throw new Error('apiKeyStrategy requires lookup or keys');
+    }
+    const header = (options.header || 'x-api-key').toLowerCase();
+    // Compare digests so lookups of static keys take the same time for every candidate
+    const digest = (key: string) => createHash('sha256').update(key).digest();
+    const staticKeys = Object.entries(options.keys || {}).map(([key, user]) => [digest(key), user] as const);
+    return {
+        securityScheme: { type: 'apiKey', in: 'header', name: options.header || 'X-API-Key' },
+        async authenticate(req) {
+            const fromHeader = req.headers[header];
+            const fromQuery = options.query ? (req.query as Record<string, unknown> | undefined)?.[options.query] : undefined;
+            const key = (Array.isArray(fromHeader) ? fromHeader[0] : fromHeader) || (typeof fromQuery === 'string' ? fromQuery : undefined);
+            if (!key) return null;
+            let user: AuthUser | null | undefined;
+            if (options.lookup) {
+                user = await options.lookup(key, req);
+            } else {
+                const candidate = digest(key);
+                user = staticKeys.find(([hash]) => safeEqual(hash, candidate))?.[1];
+            }
+            if (!user) {
+                throw new ResponseError(401, 'Invalid API key');
+            }
+            return user;
+        }
+    };
+}
+
+const SECURITY_SCHEME_NAMES: Record<string, string> = {
+    bearer: 'BearerAuth',
+    basic: 'BasicAuth',
+    apiKey: 'ApiKeyAuth'
+}
+
+/**
+ * OpenAPI security scheme name of a strategy: BearerAuth, BasicAuth, ApiKeyAuth, otherwise `{Name}Auth`
+ */
+export function securitySchemeName(strategy: AuthStrategyName): string {
+    return SECURITY_SCHEME_NAMES[strategy] || `${strategy.charAt(0).toUpperCase()}${strategy.slice(1)}Auth`;
+}
+
+/**
+ * Authentication strategies by name, available as `ctx.auth`.
+ * Plugins can add strategies in `onInit` with `ctx.auth.register(name, strategy)`.
+ */
+export class AuthRegistry {
+    private readonly strategies = new Map<string, AuthStrategy>();
+    public readonly authorization: AuthorizationOptions;
+    public readonly guardOnly: boolean;
+
+    constructor(options: AuthOptions = defaultAuth) {
+        this.authorization = options.authorization || {};
+        this.guardOnly = !!options.guardOnly;
+        if (options.jwt) this.register('bearer', jwtStrategy(options.jwt));
+        if (options.basic) this.register('basic', basicStrategy(options.basic));
+        if (options.apiKey) this.register('apiKey', apiKeyStrategy(options.apiKey));
+        for (const [name, strategy] of Object.entries(options.strategies || {})) {
+            this.register(name, strategy);
+        }
+    }
+
+    public register(name: AuthStrategyName, strategy: AuthStrategy): this {
+        this.strategies.set(name, strategy);
+        return this;
+    }
+
+    public get(name: AuthStrategyName): AuthStrategy | undefined {
+        return this.strategies.get(name);
+    }
+
+    public has(name: AuthStrategyName): boolean {
+        return this.strategies.has(name);
+    }
+
+    /**
+     * Security schemes of the registered strategies, merged into the OpenAPI components
+     */
+    public securitySchemes(): Record<string, SecurityScheme> {
+        const schemes: Record<string, SecurityScheme> = {};
+        for (const [name, strategy] of this.strategies) {
+            schemes[securitySchemeName(name)] = strategy.securityScheme;
+        }
+        return schemes;
+    }
+
+    /**
+     * Try the strategies in order, the first one accepting the request wins.
+     * Sets `req.user` and the `principal`/`userId` request context values.
+     * @throws ResponseError(401) when no strategy accepted the request
+     */
+    public async authenticate(names: AuthStrategyName[], req: FastifyRequest, reply: FastifyReply): Promise<AuthUser> {
+        let failure: ResponseError<number, unknown> | null = null;
+        const challenges: string[] = [];
+        for (const name of names) {
+            const strategy = this.strategies.get(name);
+            if (!strategy) continue;
+            if (strategy.challenge) {
+                challenges.push(strategy.challenge);
+            }
+            try {
+                const user = await strategy.authenticate(req);
+                if (user) {
+                    setPrincipal(req, user, name);
+                    return user;
+                }
+            } catch (error) {
+                if (!(error instanceof ResponseError)) throw error;
+                failure = failure || error;
+            }
+        }
+        if (challenges.length) {
+            reply.header('WWW-Authenticate', challenges.join(', '));
+        }
+        throw failure || new ResponseError(401, 'Authentication required');
+    }
+}
+
+function setPrincipal(req: FastifyRequest, user: AuthUser, strategy: string): void {
+    req.user = user;
+    try {
+        setRequestContextValue('principal', user);
+        setRequestContextValue('authStrategy', strategy);
+        const id = user.id ?? user.sub;
+        if (typeof id === 'string' || typeof id === 'number') {
+            setRequestContextValue('userId', id);
+        }
+    } catch {
+        // No request context, e.g. when authenticate() is called outside a request
+    }
+}
+
+/**
+ * Principal of the current request from the request context, e.g. in services
+ */
+export function getPrincipal<T extends AuthUser = AuthUser>(): T | undefined {
+    return getRequestContextValue<T>('principal');
+}
+
+/**
+ * Stable key of the authenticated caller: `user:<id>` when the principal has an id,
+ * otherwise a hash of the credentials it authenticated with
+ * @returns undefined for anonymous requests
+ */
+export function principalKey(req: FastifyRequest): string | undefined {
+    const user = req.user;
+    if (!user) return undefined;
+    const id = user.id ?? user.sub;
+    if (typeof id === 'string' || typeof id === 'number') {
+        return `user:${id}`;
+    }
+    const apiKey = req.headers['x-api-key'];
+    const credential = req.headers.authorization || (typeof apiKey === 'string' ? apiKey : undefined) || req.session?.id;
+    return credential ? `credential:${createHash('sha256').update(credential).digest('hex').slice(0, 32)}` : undefined;
+}
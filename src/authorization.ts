@@ -0,0 +1,180 @@
+import { FastifyRequest } from 'fastify';
+import type { AuthStrategyName, AuthUser } from './auth.js';
+import { metaRouteSchemaStorage } from './meta.js';
+import { ResponseForbidden, ResponseUnauthorized } from './response.js';
+
+export type PolicyFn = (user: AuthUser, req: FastifyRequest) => boolean | Promise<boolean>;
+
+/**
+ * One requirement added by `.roles()`, `.permissions()` or `.policy()`. Requirements of a route must all pass.
+ */
+export type AuthorizationRequirement =
+    | { type: 'roles'; roles: string[] }
+    | { type: 'permissions'; permissions: string[] }
+    | { type: 'policy'; name: string; policy: PolicyFn };
+
+export type AuthorizationOptions = {
+    /**
+     * Roles of a principal
+     * @default `user.roles`, or `[user.role]`
+     */
+    getRoles?: (user: AuthUser) => string[];
+    /**
+     * Permissions of a principal, extended with `rolePermissions`
+     * @default `user.permissions`, or the space-separated JWT `scope` claim
+     */
+    getPermissions?: (user: AuthUser) => string[];
+    /**
+     * Permissions granted by roles, e.g. { admin: ['*'], editor: ['articles:*'] }
+     */
+    rolePermissions?: Record<string, string[]>;
+}
+
+/**
+ * 403 details explaining which requirement failed
+ */
+export type ForbiddenDetails = {
+    requirement: AuthorizationRequirement['type'];
+    required: string[];
+    missing?: string[];
+}
+
+const stringList = (value: unknown): string[] => {
+    if (Array.isArray(value)) return value.filter((item): item is string => typeof item === 'string');
+    return typeof value === 'string' && value ? [value] : [];
+};
+
+export function getUserRoles(user: AuthUser, options: AuthorizationOptions = {}): string[] {
+    if (options.getRoles) return options.getRoles(user);
+    return user.roles !== undefined ? stringList(user.roles) : stringList(user.role);
+}
+
+export function getUserPermissions(user: AuthUser, options: AuthorizationOptions = {}): string[] {
+    const own = options.getPermissions
+        ? options.getPermissions(user)
+        : user.permissions !== undefined
+            ? stringList(user.permissions)
+            : typeof user.scope === 'string' ? user.scope.split(' ').filter(Boolean) : stringList(user.scp);
+    if (!options.rolePermissions) return own;
+    const fromRoles = getUserRoles(user, options).flatMap(role => options.rolePermissions[role] || []);
+    return [...new Set([...own, ...fromRoles])];
+}
+
+/**
+ * `*` grants everything, `orders:*` grants every permission starting with `orders:`
+ */
+export function hasPermission(granted: string[], permission: string): boolean {
+    return granted.some(grant => grant === permission
+        || grant === '*'
+        || (grant.endsWith(':*') && permission.startsWith(grant.slice(0, -1))));
+}
+
+/**
+ * Check one requirement for the authenticated user of a request
+ * @throws ResponseError(401) without a user, ResponseError(403) with ForbiddenDetails when the requirement fails
+ */
+export async function authorize(req: FastifyRequest, requirement: AuthorizationRequirement, options: AuthorizationOptions = {}): Promise<void> {
+    const user = req.user;
+    if (!user) {
+        throw new ResponseUnauthorized('Authentication required');
+    }
+    switch (requirement.type) {
+        case 'roles': {
+            const roles = getUserRoles(user, options);
+            if (!requirement.roles.some(role => roles.includes(role))) {
+                throw new ResponseForbidden<ForbiddenDetails>(`Requires one of the roles: ${requirement.roles.join(', ')}`, {
+                    requirement: 'roles',
+                    required: requirement.roles
+                });
+            }
+            return;
+        }
+        case 'permissions': {
+            const granted = getUserPermissions(user, options);
+            const missing = requirement.permissions.filter(permission => !hasPermission(granted, permission));
+            if (missing.length) {
+                throw new ResponseForbidden<ForbiddenDetails>(`Missing permissions: ${missing.join(', ')}`, {
+                    requirement: 'permissions',
+                    required: requirement.permissions,
+                    missing
+                });
+            }
+            return;
+        }
+        case 'policy': {
+            if (!await requirement.policy(user, req)) {
+                throw new ResponseForbidden<ForbiddenDetails>(`Denied by policy "${requirement.name}"`, {
+                    requirement: 'policy',
+                    required: [requirement.name]
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Markdown note appended to the OpenAPI operation description
+ */
+export function describeAuthorization(requirements: AuthorizationRequirement[]): string {
+    const lines = requirements.map(requirement => {
+        switch (requirement.type) {
+            case 'roles':
+                return `- Role: ${requirement.roles.map(role => `\`${role}\``).join(' or ')}`;
+            case 'permissions':
+                return `- Permissions: ${requirement.permissions.map(permission => `\`${permission}\``).join(', ')}`;
+            case 'policy':
+                return `- Policy: \`${requirement.name}\``;
+        }
+    });
+    return `**Authorization**\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Access requirements of a route, as listed by `getRouteAuthorizations()`
+ */
+export type RouteAuthorizationInfo = {
+    method: string;
+    route: string;
+    operationId?: string;
+    /**
+     * Accepted authentication strategies, empty for public routes
+     */
+    auth: AuthStrategyName[];
+    /**
+     * Each entry is an alternative set: the user needs one role of every entry
+     */
+    roles: string[][];
+    permissions: string[];
+    policies: string[];
+    public: boolean;
+}
+
+/**
+ * Authentication and authorization requirements of every RouteBuilder route, e.g. for security reviews
+ * @example
+ * ```typescript
+ * console.table(getRouteAuthorizations().filter(route => route.permissions.length));
+ * ```
+ */
+export function getRouteAuthorizations(): RouteAuthorizationInfo[] {
+    return metaRouteSchemaStorage.getAll().map(entry => {
+        const requirements = entry.authorization || [];
+        const auth = entry.auth || [];
+        const info: RouteAuthorizationInfo = {
+            method: entry.method,
+            route: entry.route,
+            operationId: entry.operationId,
+            auth,
+            roles: [],
+            permissions: [],
+            policies: [],
+            public: !auth.length && !requirements.length
+        };
+        for (const requirement of requirements) {
+            if (requirement.type === 'roles') info.roles.push(requirement.roles);
+            if (requirement.type === 'permissions') info.permissions.push(...requirement.permissions.filter(permission => !info.permissions.includes(permission)));
+            if (requirement.type === 'policy') info.policies.push(requirement.name);
+        }
+        return info;
+    });
+}
@@ -0,0 +1,289 @@
+import { createHash } from 'crypto';
+import { FastifyReply, FastifyRequest } from 'fastify';
+import { AppOptions } from './types.js';
+import { principalKey } from './auth.js';
+
+export type CacheEntry = {
+    status: number;
+    body: string;
+    contentType?: string;
+    etag?: string;
+    tags: string[];
+    /**
+     * Epoch milliseconds
+     */
+    expiresAt: number;
+}
+
+/**
+ * Storage of cached responses. Stores must drop expired entries themselves.
+ */
+export interface CacheStore {
+    get(key: string): Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): Promise<void>;
+    delete(key: string): Promise<void>;
+    /**
+     * Remove every entry carrying one of the tags
+     * @returns number of removed entries
+     */
+    invalidateTags(tags: string[]): Promise<number>;
+    clear(): Promise<void>;
+}
+
+export type ETagMode = 'strong' | 'weak';
+
+export type CacheOptions = {
+    /**
+     * Store used by routes without their own `store`
+     * @default memoryCacheStore({ maxEntries })
+     */
+    store?: CacheStore;
+    /**
+     * Capacity of the default in-memory LRU store
+     * @default 1000
+     */
+    maxEntries?: number;
+    /**
+     * ETag generation for JSON GET/HEAD responses, answering `If-None-Match` with 304.
+     * `false` disables it.
+     * @default 'strong'
+     */
+    etag?: ETagMode | false;
+}
+
+export type RouteCacheOptions = {
+    /**
+     * Time to live in milliseconds
+     * @default 60000
+     */
+    ttl?: number;
+    /**
+     * Cache key
+     * @default method + URL (path and query), plus `principalKey(req)` on `.auth()` routes
+     */
+    key?: (req: FastifyRequest) => string;
+    /**
+     * Request headers that produce different responses, added to the key and the `Vary` header
+     */
+    vary?: string[];
+    /**
+     * Tags used for invalidation, e.g. ['products'] or (req) => [`product:${req.params.id}`]
+     */
+    tags?: string[] | ((req: FastifyRequest) => string[]);
+    /**
+     * @default the app store (`cacheOptions.store`)
+     */
+    store?: CacheStore;
+}
+
+/**
+ * In-memory LRU store
+ */
+export function memoryCacheStore(options: { maxEntries?: number } = {}): CacheStore {
+    const maxEntries = options.maxEntries ?? 1000;
+    const entries = new Map<string, CacheEntry>();
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            // Re-insert to mark as most recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async invalidateTags(tags) {
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (entry.tags.some(tag => tags.includes(tag))) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+const defaultCache: CacheOptions = {
+    maxEntries: 1000,
+    etag: 'strong'
+}
+
+export function setupCache(cacheOptions?: AppOptions['cacheOptions']): CacheOptions {
+    let options: CacheOptions = defaultCache;
+    if ('function' === typeof cacheOptions) {
+        options = cacheOptions(defaultCache);
+    } else if ('object' === typeof cacheOptions) {
+        options = { ...defaultCache, ...cacheOptions };
+    }
+    return options;
+}
+
+/**
+ * Response cache shared by routes, available as `ctx.cache` for invalidation from services
+ * @example
+ * ```typescript
+ * await ctx.cache.invalidate(['products', `product:${id}`]);
+ * ```
+ */
+export class CacheManager {
+    public readonly store: CacheStore;
+    private readonly stores = new Set<CacheStore>();
+
+    constructor(public readonly options: CacheOptions = defaultCache) {
+        this.store = options.store || memoryCacheStore({ maxEntries: options.maxEntries });
+        this.stores.add(this.store);
+    }
+
+    /**
+     * Track a route-specific store so invalidation reaches it
+     */
+    public use(store?: CacheStore): CacheStore {
+        if (!store) return this.store;
+        this.stores.add(store);
+        return store;
+    }
+
+    /**
+     * Remove cached responses carrying any of the tags, in every store
+     */
+    public async invalidate(tags: string | string[]): Promise<number> {
+        const list = Array.isArray(tags) ? tags : [tags];
+        let removed = 0;
+        for (const store of this.stores) {
+            removed += await store.invalidateTags(list);
+        }
+        return removed;
+    }
+
+    public async clear(): Promise<void> {
+        for (const store of this.stores) {
+            await store.clear();
+        }
+    }
+}
+
+export function createETag(body: string | Buffer, mode: ETagMode = 'strong'): string {
+    const hash = createHash('sha1').update(body).digest('base64url').slice(0, 27);
+    return mode === 'weak' ? `W/"${hash}"` : `"${hash}"`;
+}
+
+/**
+ * Weak comparison (RFC 9110 13.1.2), as required for If-None-Match
+ */
+export function matchesIfNoneMatch(header: string | undefined, etag: string): boolean {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    const opaque = etag.replace(/^W\//, '');
+    return header.split(',').some(candidate => candidate.trim().replace(/^W\//, '') === opaque);
+}
+
+/**
+ * onSend hook adding ETags to JSON GET/HEAD 200 responses and turning matching
+ * `If-None-Match` requests into 304 Not Modified
+ */
+export function createETagHook(mode: ETagMode) {
+    return async (req: FastifyRequest, reply: FastifyReply, payload: unknown) => {
+        if ((req.method !== 'GET' && req.method !== 'HEAD') || reply.statusCode !== 200) return payload;
+        if (typeof payload !== 'string' && !Buffer.isBuffer(payload)) return payload;
+        const contentType = String(reply.getHeader('content-type') || '');
+        if (!contentType.includes('json')) return payload;
+        let etag = reply.getHeader('etag') as string | undefined;
+        if (!etag) {
+            etag = createETag(payload, mode);
+            reply.header('ETag', etag);
+        }
+        if (matchesIfNoneMatch(req.headers['if-none-match'], etag)) {
+            reply.code(304);
+            return '';
+        }
+        return payload;
+    };
+}
+
+/**
+ * Route hooks for `.cache()`: the preHandler serves hits, onSend stores 200 responses of misses.
+ * On authenticated routes (`auth` lists the route's strategies) the default key includes the caller,
+ * so one user's response is never served to another, and the credential headers are sent as `Vary`.
+ */
+export function createRouteCache(options: RouteCacheOptions, manager: CacheManager, auth: string[] = []) {
+    const ttl = options.ttl ?? 60000;
+    const store = manager.use(options.store);
+    const vary = (options.vary || []).map(header => header.toLowerCase());
+    const pending = new WeakMap<FastifyRequest, string>();
+    const credentialHeaders = auth.length ? [
+        'authorization',
+        ...(auth.includes('apiKey') ? ['x-api-key'] : []),
+        ...(auth.includes('session') ? ['cookie'] : [])
+    ] : [];
+    const varyHeader = [...new Set([...vary, ...credentialHeaders])].join(', ');
+
+    const cacheKey = (req: FastifyRequest) => {
+        let base = options.key ? options.key(req) : `${req.method === 'HEAD' ? 'GET' : req.method}:${req.url}`;
+        if (auth.length && !options.key) {
+            base = `${base}|${principalKey(req) ?? 'anonymous'}`;
+        }
+        if (!vary.length) return base;
+        return `${base}|${vary.map(header => `${header}=${req.headers[header] ?? ''}`).join('&')}`;
+    };
+
+    return {
+        /**
+         * @returns the reply when a cached response was sent, so the handler does not run
+         */
+        async preHandler(req: FastifyRequest, reply: FastifyReply): Promise<boolean | FastifyReply> {
+            if (req.method !== 'GET' && req.method !== 'HEAD') return true;
+            if (varyHeader) {
+                reply.header('Vary', varyHeader);
+            }
+            const key = cacheKey(req);
+            const entry = await store.get(key);
+            if (entry) {
+                reply.header('X-Cache', 'HIT');
+                if (entry.etag) {
+                    reply.header('ETag', entry.etag);
+                }
+                if (entry.contentType) {
+                    reply.type(entry.contentType);
+                }
+                return reply.code(entry.status).send(entry.body);
+            }
+            reply.header('X-Cache', 'MISS');
+            pending.set(req, key);
+            return true;
+        },
+        async onSend(req: FastifyRequest, reply: FastifyReply, payload: unknown): Promise<void> {
+            const key = pending.get(req);
+            if (!key || reply.statusCode !== 200) return;
+            pending.delete(req);
+            if (typeof payload !== 'string' && !Buffer.isBuffer(payload)) return;
+            const contentType = reply.getHeader('content-type');
+            const etag = reply.getHeader('etag');
+            await store.set(key, {
+                status: reply.statusCode,
+                body: String(payload),
+                contentType: contentType ? String(contentType) : undefined,
+                etag: etag ? String(etag) : undefined,
+                tags: typeof options.tags === 'function' ? options.tags(req) : (options.tags || []),
+                expiresAt: Date.now() + ttl
+            });
+        }
+    };
+}
@@ -0,0 +1,332 @@
+import { TSchema } from '@sinclair/typebox';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { MetaEntry, MetaRouteEntry, metaRouteSchemaStorage } from './meta.js';
+import { getErrorFormat } from './response.js';
+import { getSchemaRegistry } from './schema-registry.js';
+
+export type ClientGeneratorOptions = {
+    /**
+     * File the client module is written to after `fastify.ready()`
+     */
+    output: string;
+    /**
+     * Name of the exported factory
+     * @default 'createClient'
+     */
+    factoryName?: string;
+}
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * users_get_:id -> usersGetId
+ */
+function toIdentifier(value: string): string {
+    const words = value.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const name = words
+        .map((word, index) => index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+    return /^[0-9]/.test(name) ? `_${name}` : name || '_';
+}
+
+function toTypeName(value: string): string {
+    const name = toIdentifier(value);
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function refId(ref: string): string {
+    return ref.replace(/#$/, '').split('/').pop();
+}
+
+function propertyKey(key: string): string {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Prints TypeScript types for TypeBox/JSON schemas, collecting referenced $ids on the way
+ */
+class TypePrinter {
+    public readonly referenced = new Set<string>();
+
+    public print(schema: TSchema, indent = ''): string {
+        if (!schema || typeof schema !== 'object') return 'unknown';
+        if (typeof schema.$ref === 'string') {
+            const id = refId(schema.$ref);
+            this.referenced.add(id);
+            return toTypeName(id);
+        }
+        if ('const' in schema) return JSON.stringify(schema.const);
+        if (Array.isArray(schema.enum)) return schema.enum.map((value: unknown) => JSON.stringify(value)).join(' | ');
+        if (Array.isArray(schema.anyOf)) return this.join(schema.anyOf, ' | ', indent);
+        if (Array.isArray(schema.oneOf)) return this.join(schema.oneOf, ' | ', indent);
+        if (Array.isArray(schema.allOf)) return this.join(schema.allOf, ' & ', indent);
+        const type = schema.type;
+        if (Array.isArray(type)) {
+            return type.map((item: string) => this.print({ ...schema, type: item }, indent)).join(' | ');
+        }
+        switch (type) {
+            case 'string':
+                return schema.format === 'binary' ? 'Blob' : 'string';
+            case 'Date':
+                return 'string';
+            case 'number':
+            case 'integer':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'array':
+                if (Array.isArray(schema.prefixItems || schema.items)) {
+                    return `[${(schema.prefixItems || schema.items).map((item: TSchema) => this.print(item, indent)).join(', ')}]`;
+                }
+                return `Array<${this.print(schema.items, indent)}>`;
+            case 'object':
+                return this.printObject(schema, indent);
+            default:
+                return 'unknown';
+        }
+    }
+
+    private join(schemas: TSchema[], separator: string, indent: string): string {
+        return schemas.map(item => {
+            const printed = this.print(item, indent);
+            return printed.includes('|') && separator === ' & ' ? `(${printed})` : printed;
+        }).join(separator) || 'unknown';
+    }
+
+    private printObject(schema: TSchema, indent: string): string {
+        const properties = (schema.properties || {}) as Record<string, TSchema>;
+        const required = new Set<string>(schema.required || []);
+        const keys = Object.keys(properties);
+        const inner = `${indent}    `;
+        const lines = keys.map(key => `${inner}${propertyKey(key)}${required.has(key) ? '' : '?'}: ${this.print(properties[key], inner)};`);
+        const additional = schema.additionalProperties ?? (schema.patternProperties ? Object.values(schema.patternProperties)[0] : undefined);
+        if (additional && typeof additional === 'object') {
+            lines.push(`${inner}[key: string]: ${keys.length ? 'unknown' : this.print(additional as TSchema, inner)};`);
+        }
+        if (!lines.length) {
+            return additional === false ? '{}' : 'Record<string, unknown>';
+        }
+        return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+}
+
+type OperationMeta = {
+    name: string;
+    typeName: string;
+    entry: MetaRouteEntry;
+    params?: MetaEntry;
+    query?: MetaEntry;
+    body?: MetaEntry;
+    headers?: MetaEntry;
+    responses: MetaEntry[];
+    multipart: boolean;
+}
+
+function collectOperations(entries: MetaRouteEntry[]): OperationMeta[] {
+    const used = new Set<string>();
+    return entries.map(entry => {
+        let name = toIdentifier(entry.operationId || `${entry.method.toLowerCase()}_${entry.route}`);
+        while (used.has(name)) name = `${name}_`;
+        used.add(name);
+        const find = (type: MetaEntry['type']) => [...entry.meta].reverse().find(meta => meta.type === type);
+        const responses = new Map<number, MetaEntry>();
+        for (const meta of entry.meta) {
+            if (meta.type === 'response' && meta.statusCode) responses.set(meta.statusCode, meta);
+        }
+        return {
+            name,
+            typeName: toTypeName(name),
+            entry,
+            params: find('params'),
+            query: find('query'),
+            body: find('body'),
+            headers: find('headers'),
+            responses: Array.from(responses.values()),
+            multipart: !!entry.consumes?.includes('multipart/form-data')
+        };
+    });
+}
+
+const RUNTIME = [
+    `export type ApiResponse<S extends number = number, T = unknown> = { status: S; data: T };`,
+    ``,
+    `export interface ClientOptions {`,
+    `    baseUrl: string;`,
+    `    fetch?: typeof fetch;`,
+    `    headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);`,
+    `}`,
+    ``,
+    `type RequestArgs = {`,
+    `    params?: Record<string, unknown>;`,
+    `    query?: Record<string, unknown>;`,
+    `    body?: unknown;`,
+    `    headers?: Record<string, unknown>;`,
+    `};`,
+    ``,
+    `function buildUrl(baseUrl: string, route: string, args: RequestArgs): string {`,
+    `    const pathname = route.replace(/:([A-Za-z0-9_]+)/g, (_, key) => encodeURIComponent(String(args.params?.[key] ?? '')));`,
+    `    const search = new URLSearchParams();`,
+    `    for (const [key, value] of Object.entries(args.query || {})) {`,
+    `        if (value === undefined || value === null) continue;`,
+    `        for (const item of Array.isArray(value) ? value : [value]) {`,
+    `            search.append(key, item instanceof Date ? item.toISOString() : typeof item === 'object' ? JSON.stringify(item) : String(item));`,
+    `        }`,
+    `    }`,
+    `    const query = search.toString();`,
+    `    return baseUrl.replace(/\\/+$/, '') + pathname + (query ? '?' + query : '');`,
+    `}`,
+    ``,
+    `function toFormData(body: unknown): FormData {`,
+    `    const form = new FormData();`,
+    `    for (const [key, value] of Object.entries((body || {}) as Record<string, unknown>)) {`,
+    `        if (value === undefined || value === null) continue;`,
+    `        for (const item of Array.isArray(value) && value.some(v => v instanceof Blob) ? value : [value]) {`,
+    `            if (item instanceof Blob) form.append(key, item);`,
+    `            else form.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));`,
+    `        }`,
+    `    }`,
+    `    return form;`,
+    `}`,
+    ``,
+    `async function send<R extends ApiResponse>(options: ClientOptions, method: string, route: string, args: RequestArgs, multipart: boolean, init?: RequestInit): Promise<R> {`,
+    `    const doFetch = options.fetch || fetch;`,
+    `    const baseHeaders = typeof options.headers === 'function' ? await options.headers() : options.headers;`,
+    `    const headers: Record<string, string> = { ...baseHeaders };`,
+    `    for (const [key, value] of Object.entries(args.headers || {})) {`,
+    `        if (value !== undefined && value !== null) headers[key] = String(value);`,
+    `    }`,
+    `    let body: BodyInit | undefined;`,
+    `    if (args.body !== undefined) {`,
+    `        if (multipart) {`,
+    `            body = toFormData(args.body);`,
+    `        } else {`,
+    `            headers['Content-Type'] = 'application/json';`,
+    `            body = JSON.stringify(args.body);`,
+    `        }`,
+    `    }`,
+    `    const res = await doFetch(buildUrl(options.baseUrl, route, args), { ...init, method, headers: { ...headers, ...(init?.headers as Record<string, string>) }, body });`,
+    `    const text = await res.text();`,
+    `    let payload: any = null;`,
+    `    try {`,
+    `        payload = text ? JSON.parse(text) : null;`,
+    `    } catch {`,
+    `        payload = text;`,
+    `    }`,
+    `    if (payload && typeof payload === 'object' && 'status' in payload && 'data' in payload) {`,
+    `        return payload as R;`,
+    `    }`,
+    `    return { status: res.status, data: payload } as R;`,
+    `}`,
+];
+
+/**
+ * Generate a TypeScript client module with one typed function per operationId
+ * from the routes recorded in metaRouteSchemaStorage.
+ * Call after all routes are built (e.g. after `fastify.ready()`).
+ */
+export function generateClient(options: Partial<ClientGeneratorOptions> = {}): string {
+    const factoryName = options.factoryName || 'createClient';
+    const printer = new TypePrinter();
+    const problemErrors = getErrorFormat() === 'problem+json';
+    const operations = collectOperations(metaRouteSchemaStorage.getAll());
+    const operationLines: string[] = [];
+    const methodLines: string[] = [];
+
+    const typeOf = (meta?: MetaEntry) => {
+        if (!meta) return undefined;
+        if (meta.id) {
+            printer.referenced.add(meta.id);
+            return toTypeName(meta.id);
+        }
+        return printer.print(meta.schema);
+    };
+
+    for (const operation of operations) {
+        const argFields: string[] = [];
+        const field = (key: string, meta: MetaEntry | undefined, forceRequired: boolean) => {
+            if (!meta) return;
+            const required = forceRequired || !!(meta.schema as TSchema)?.required?.length;
+            argFields.push(`    ${key}${required ? '' : '?'}: ${typeOf(meta)};`);
+        };
+        field('params', operation.params, true);
+        field('query', operation.query, false);
+        field('body', operation.body, true);
+        field('headers', operation.headers, false);
+
+        const responses = operation.responses.map(meta => {
+            const problem = problemErrors && meta.statusCode >= 400;
+            return `ApiResponse<${meta.statusCode}, ${problem ? 'ProblemDetails' : typeOf(meta)}>`;
+        });
+        const argsType = `${operation.typeName}Args`;
+        const responseType = `${operation.typeName}Response`;
+        operationLines.push(`export type ${argsType} = ${argFields.length ? `{\n${argFields.join('\n')}\n}` : 'Record<string, never>'};`);
+        operationLines.push(`export type ${responseType} = ${responses.join(' | ') || 'ApiResponse'};`);
+        operationLines.push('');
+
+        const argsRequired = argFields.some(line => !line.includes('?:'));
+        methodLines.push(
+            `        /** ${operation.entry.method} ${operation.entry.route} */`,
+            `        ${operation.name}: (args${argsRequired ? '' : '?'}: ${argsType}, init?: RequestInit) =>`,
+            `            send<${responseType}>(options, ${JSON.stringify(operation.entry.method)}, ${JSON.stringify(operation.entry.route)}, (args || {}) as RequestArgs, ${operation.multipart}, init),`
+        );
+    }
+
+    // Declare every referenced schema, following nested refs
+    const registry = (() => {
+        try {
+            return getSchemaRegistry();
+        } catch {
+            return null;
+        }
+    })();
+    const metaSchemas = new Map<string, TSchema>();
+    for (const entry of metaRouteSchemaStorage.getAll()) {
+        for (const meta of entry.meta) {
+            if (meta.id) metaSchemas.set(meta.id, meta.schema);
+        }
+    }
+    const declared = new Map<string, string>();
+    let pending = Array.from(printer.referenced);
+    while (pending.length) {
+        for (const id of pending) {
+            if (declared.has(id)) continue;
+            const schema = registry?.getSchema(id) || metaSchemas.get(id);
+            declared.set(id, schema ? printer.print(schema) : 'unknown');
+        }
+        pending = Array.from(printer.referenced).filter(id => !declared.has(id));
+    }
+    const typeLines = Array.from(declared.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([id, type]) => `export type ${toTypeName(id)} = ${type};\n`);
+
+    return [
+        `// Generated by @tsdiapi/server. Do not edit.`,
+        `/* eslint-disable */`,
+        ``,
+        ...RUNTIME,
+        ``,
+        `export type ProblemDetails = { type: string; title: string; status: number; detail: string; instance?: string; details?: unknown };`,
+        ``,
+        ...typeLines,
+        ...operationLines,
+        `export function ${factoryName}(options: ClientOptions) {`,
+        `    return {`,
+        ...methodLines,
+        `    };`,
+        `}`,
+        ``
+    ].join('\n');
+}
+
+/**
+ * Generate the client module and write it to `output`
+ */
+export async function writeClient(output: string, options: Partial<ClientGeneratorOptions> = {}): Promise<string> {
+    const filePath = path.resolve(output);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, generateClient(options), 'utf-8');
+    return filePath;
+}
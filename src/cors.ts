@@ -19,6 +19,7 @@ const defaultCors: FastifyCorsOptions = {
         "Content-Type",
         "Authorization",
         "X-Auth-Guard",
+        "X-CSRF-Token",
         "Apollo-Require-Preflight",
         "access-control-allow-origin",
         "access-control-allow-headers",
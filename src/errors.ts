@@ -0,0 +1,153 @@
+import { FastifyError, FastifyReply, FastifyRequest } from 'fastify';
+import { Constructor } from './types.js';
+import { getErrorFormat, PROBLEM_JSON_CONTENT_TYPE, ResponseError } from './response.js';
+
+export type ErrorTranslator<E = any> = (error: E, req?: FastifyRequest) => ResponseError<number, unknown> | undefined | void;
+export type ErrorPredicate = (error: unknown) => boolean;
+
+export type ErrorMapperOptions = {
+    /**
+     * Replace messages of unmapped 5xx errors with a generic message and a correlation id.
+     * The original error is logged with the same id.
+     * @default true in production
+     */
+    hideUnmapped?: boolean;
+}
+
+export type ValidationLocation = 'params' | 'query' | 'body' | 'headers';
+
+export type ValidationErrorDetail = {
+    location: ValidationLocation;
+    path: string;
+    keyword: string;
+    message: string;
+}
+
+type TranslatorEntry = {
+    matches: ErrorPredicate;
+    translate: ErrorTranslator;
+}
+
+/**
+ * Registry of exception translators consulted wherever routes catch errors,
+ * including Fastify's own validation and parsing errors
+ */
+export class ErrorMapper {
+    private readonly translators: TranslatorEntry[] = [];
+    public hideUnmapped: boolean;
+
+    constructor(options: ErrorMapperOptions = {}) {
+        this.hideUnmapped = options.hideUnmapped ?? process.env.NODE_ENV === 'production';
+    }
+
+    /**
+     * Translate instances of an error class
+     * @example
+     * ```typescript
+     * context.errors.map(PrismaNotFoundError, (e) => response404(e.message));
+     * ```
+     */
+    public map<E>(errorClass: Constructor<E>, translator: ErrorTranslator<E>): this {
+        this.translators.push({
+            matches: (error) => error instanceof errorClass,
+            translate: translator
+        });
+        return this;
+    }
+
+    /**
+     * Translate errors matching a predicate
+     * @example
+     * ```typescript
+     * context.errors.when((e: any) => e?.code === 'P2002', () => response409('Already exists'));
+     * ```
+     */
+    public when<E = any>(predicate: ErrorPredicate, translator: ErrorTranslator<E>): this {
+        this.translators.push({
+            matches: predicate,
+            translate: translator
+        });
+        return this;
+    }
+
+    public clear(): void {
+        this.translators.length = 0;
+    }
+
+    /**
+     * Convert any thrown value into a ResponseError.
+     * Order: ResponseError as is, registered translators (first match wins),
+     * Fastify errors with a 4xx statusCode, then a 500 fallback.
+     */
+    public translate(error: unknown, req?: FastifyRequest): ResponseError<number, unknown> {
+        if (error instanceof ResponseError) {
+            return error;
+        }
+        for (const entry of this.translators) {
+            if (!entry.matches(error)) continue;
+            try {
+                const result = entry.translate(error, req);
+                if (result instanceof ResponseError) {
+                    return result;
+                }
+            } catch (translatorError) {
+                if (translatorError instanceof ResponseError) {
+                    return translatorError;
+                }
+                console.error(`⚠️ Error translator failed:`, translatorError);
+            }
+        }
+        const fastifyError = error as FastifyError;
+        if (Array.isArray(fastifyError?.validation)) {
+            return new ResponseError(400, fastifyError.message, formatValidationErrors(fastifyError));
+        }
+        const statusCode = Number(fastifyError?.statusCode);
+        if (statusCode >= 400 && statusCode < 500) {
+            return new ResponseError(statusCode, fastifyError.message);
+        }
+        return this.unmapped(error, req);
+    }
+
+    private unmapped(error: unknown, req?: FastifyRequest): ResponseError<number, unknown> {
+        const message = (error as Error)?.message || 'Internal server error';
+        const correlationId = req?.id ? String(req.id) : undefined;
+        if (!this.hideUnmapped) {
+            return new ResponseError(500, message);
+        }
+        console.error(`❌ Unhandled error${correlationId ? ` [${correlationId}]` : ''}:`, error);
+        return new ResponseError(500, 'Internal server error', correlationId ? { correlationId } : undefined);
+    }
+}
+
+/**
+ * Flatten AJV errors attached by Fastify into field-level details.
+ * `path` is a dot path to the offending field, including the missing property for `required`.
+ */
+export function formatValidationErrors(error: FastifyError): ValidationErrorDetail[] {
+    const context = error.validationContext as string;
+    const location: ValidationLocation = context === 'querystring' ? 'query' : (context as ValidationLocation) || 'body';
+    return (error.validation || []).map((item) => {
+        const segments = (item.instancePath || '').split('/').filter(Boolean).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const params = (item.params || {}) as Record<string, unknown>;
+        const property = params.missingProperty ?? params.additionalProperty;
+        if (typeof property === 'string') {
+            segments.push(property);
+        }
+        return {
+            location,
+            path: segments.join('.'),
+            keyword: item.keyword,
+            message: item.message || 'is invalid'
+        };
+    });
+}
+
+/**
+ * Send a ResponseError in the configured error format
+ */
+export function sendResponseError(req: FastifyRequest, reply: FastifyReply, error: ResponseError<number, unknown>) {
+    if (getErrorFormat() === 'problem+json') {
+        return reply.code(error.status).type(PROBLEM_JSON_CONTENT_TYPE).send(error.toProblem(req.url));
+    }
+    return reply.code(error.status).send(error);
+}
@@ -0,0 +1,317 @@
+import { TObject, TOptional, TProperties, TSchema, TString, Type } from '@sinclair/typebox';
+import { ResponseError } from './response.js';
+
+export type FilterOperator =
+    | 'eq'
+    | 'ne'
+    | 'gt'
+    | 'gte'
+    | 'lt'
+    | 'lte'
+    | 'in'
+    | 'nin'
+    | 'contains'
+    | 'startsWith'
+    | 'endsWith'
+    | 'exists';
+
+export type FilterFieldType = 'string' | 'number' | 'boolean' | 'date';
+
+/**
+ * Operators allowed for each field type unless narrowed by `operators`
+ */
+export const FILTER_OPERATORS: Record<FilterFieldType, FilterOperator[]> = {
+    string: ['eq', 'ne', 'in', 'nin', 'contains', 'startsWith', 'endsWith', 'exists'],
+    number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'],
+    date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'exists'],
+    boolean: ['eq', 'ne', 'exists']
+}
+
+export type FilterableOptions = {
+    /**
+     * Filterable fields
+     * @default every scalar top-level property of the item schema
+     */
+    fields?: string[];
+    /**
+     * Narrow operators for all fields (array) or per field (record)
+     */
+    operators?: FilterOperator[] | Record<string, FilterOperator[]>;
+    /**
+     * Fields accepted by `sort`, `false` disables the parameter
+     * @default `fields`
+     */
+    sort?: string[] | false;
+}
+
+export type FilterValue = string | number | boolean | Date;
+
+export type FilterCondition = {
+    field: string;
+    operator: FilterOperator;
+    value: FilterValue | FilterValue[];
+}
+
+export type SortField = {
+    field: string;
+    direction: 'asc' | 'desc';
+}
+
+/**
+ * Normalized filters of the current request, available as `req.filter`.
+ * Conditions are combined with AND.
+ */
+export type FilterAST = {
+    conditions: FilterCondition[];
+    sort: SortField[];
+}
+
+export type FilterIssue = {
+    parameter: string;
+    message: string;
+}
+
+export type ResolvedFilterOptions = {
+    fields: Record<string, { type: FilterFieldType; operators: FilterOperator[] }>;
+    sort: string[];
+}
+
+export type TFilterQuery = TObject<{
+    sort: TOptional<TString>;
+}>;
+
+const FILTER_KEY = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+/**
+ * Filter type of a TypeBox property, unwrapping nullable unions and literal enums
+ */
+function getFieldType(schema: TSchema): FilterFieldType | undefined {
+    if (!schema) return undefined;
+    if (Array.isArray(schema.anyOf)) {
+        const types = schema.anyOf
+            .filter((member: TSchema) => member.type !== 'null')
+            .map((member: TSchema) => getFieldType(member));
+        return types.length && types.every((type: FilterFieldType | undefined) => type === types[0]) ? types[0] : undefined;
+    }
+    if (schema.const !== undefined) {
+        return typeof schema.const === 'number' ? 'number' : typeof schema.const === 'boolean' ? 'boolean' : 'string';
+    }
+    switch (schema.type) {
+        case 'string':
+            return schema.format === 'date-time' || schema.format === 'date' ? 'date' : 'string';
+        case 'number':
+        case 'integer':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+        case 'Date':
+            return 'date';
+        default:
+            return undefined;
+    }
+}
+
+export function setupFilters(itemSchema: TSchema, options: FilterableOptions = {}): ResolvedFilterOptions {
+    const properties = (itemSchema as { properties?: Record<string, TSchema> }).properties || {};
+    const fields: ResolvedFilterOptions['fields'] = {};
+    for (const name of options.fields ?? Object.keys(properties)) {
+        const type = getFieldType(properties[name]);
+        if (!type) {
+            if (options.fields) {
+                throw new Error(`Field "${name}" cannot be filtered: it is missing from the item schema or not a scalar`);
+            }
+            continue;
+        }
+        const narrowed = Array.isArray(options.operators) ? options.operators : options.operators?.[name];
+        fields[name] = {
+            type,
+            operators: narrowed ? FILTER_OPERATORS[type].filter(operator => narrowed.includes(operator)) : FILTER_OPERATORS[type]
+        };
+    }
+    return {
+        fields,
+        sort: options.sort === false ? [] : (options.sort ?? Object.keys(fields))
+    };
+}
+
+/**
+ * Query properties documenting every allowed `filter[field][op]` pair and `sort`
+ */
+export function filterQueryProperties(options: ResolvedFilterOptions): TProperties {
+    const properties: TProperties = {};
+    for (const [field, { type, operators }] of Object.entries(options.fields)) {
+        for (const operator of operators) {
+            const key = `filter[${field}][${operator}]`;
+            if (operator === 'exists') {
+                properties[key] = Type.Optional(Type.Boolean({ description: `${field} is set (true) or empty (false)` }));
+            } else if (operator === 'in' || operator === 'nin') {
+                properties[key] = Type.Optional(Type.String({ description: `Comma-separated ${type} values, ${field} ${operator === 'in' ? 'is one of' : 'is none of'}` }));
+            } else {
+                properties[key] = Type.Optional(Type.String({ description: `${field} ${operator} value (${type})` }));
+            }
+        }
+    }
+    if (options.sort.length) {
+        properties.sort = Type.Optional(Type.String({
+            description: `Comma-separated fields, prefix with "-" for descending. Allowed: ${options.sort.join(', ')}`,
+            examples: [options.sort.slice(0, 2).map((field, index) => index === 0 ? `-${field}` : field).join(',')]
+        }));
+    }
+    return properties;
+}
+
+function parseValue(raw: unknown, type: FilterFieldType): FilterValue | undefined {
+    const value = String(raw);
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            return value.trim() !== '' && !isNaN(number) ? number : undefined;
+        }
+        case 'boolean':
+            return value === 'true' ? true : value === 'false' ? false : undefined;
+        case 'date': {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Collect filter entries from flat (`filter[a][b]` keys) or nested (`{ filter: { a: { b } } }`) query objects
+ */
+function collectFilterEntries(query: Record<string, unknown>): Array<[string, string, string | undefined, unknown]> {
+    const entries: Array<[string, string, string | undefined, unknown]> = [];
+    for (const [key, value] of Object.entries(query)) {
+        const match = FILTER_KEY.exec(key);
+        if (match) {
+            entries.push([key, match[1], match[2], value]);
+        }
+    }
+    if (query.filter && typeof query.filter === 'object') {
+        for (const [field, value] of Object.entries(query.filter as Record<string, unknown>)) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                for (const [operator, operand] of Object.entries(value)) {
+                    entries.push([`filter[${field}][${operator}]`, field, operator, operand]);
+                }
+            } else {
+                entries.push([`filter[${field}]`, field, undefined, value]);
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Parse `filter[field][op]=value` (`filter[field]=value` means `eq`) and `sort=-createdAt,name`
+ * @throws ResponseError(400) listing every unknown field, unsupported operator or invalid value
+ */
+export function parseFilters(query: Record<string, unknown> | undefined, options: ResolvedFilterOptions): FilterAST {
+    const issues: FilterIssue[] = [];
+    const conditions: FilterCondition[] = [];
+    for (const [parameter, field, operatorName, raw] of collectFilterEntries(query || {})) {
+        const definition = options.fields[field];
+        if (!definition) {
+            issues.push({ parameter, message: `Filtering by "${field}" is not allowed` });
+            continue;
+        }
+        const operator = (operatorName || 'eq') as FilterOperator;
+        if (!definition.operators.includes(operator)) {
+            issues.push({ parameter, message: `Operator "${operator}" is not supported for ${definition.type} field "${field}". Allowed: ${definition.operators.join(', ')}` });
+            continue;
+        }
+        for (const rawValue of Array.isArray(raw) ? raw : [raw]) {
+            if (operator === 'exists') {
+                const value = parseValue(rawValue, 'boolean');
+                if (value === undefined) {
+                    issues.push({ parameter, message: `Expected true or false` });
+                } else {
+                    conditions.push({ field, operator, value });
+                }
+                continue;
+            }
+            if (operator === 'in' || operator === 'nin') {
+                const values = String(rawValue).split(',').map(item => parseValue(item, definition.type));
+                if (values.some(value => value === undefined)) {
+                    issues.push({ parameter, message: `Expected comma-separated ${definition.type} values` });
+                } else {
+                    conditions.push({ field, operator, value: values });
+                }
+                continue;
+            }
+            const value = parseValue(rawValue, definition.type);
+            if (value === undefined) {
+                issues.push({ parameter, message: `Expected a ${definition.type} value` });
+            } else {
+                conditions.push({ field, operator, value });
+            }
+        }
+    }
+
+    const sort: SortField[] = [];
+    if (typeof query?.sort === 'string' && query.sort.trim()) {
+        for (const item of query.sort.split(',').map(part => part.trim()).filter(Boolean)) {
+            const direction = item.startsWith('-') ? 'desc' : 'asc';
+            const field = item.replace(/^[-+]/, '');
+            if (!options.sort.includes(field)) {
+                issues.push({ parameter: 'sort', message: `Sorting by "${field}" is not allowed. Allowed: ${options.sort.join(', ') || 'none'}` });
+                continue;
+            }
+            sort.push({ field, direction });
+        }
+    }
+
+    if (issues.length) {
+        throw new ResponseError(400, 'Invalid filter or sort parameters', issues);
+    }
+    return { conditions, sort };
+}
+
+const PRISMA_OPERATORS: Partial<Record<FilterOperator, string>> = {
+    gt: 'gt',
+    gte: 'gte',
+    lt: 'lt',
+    lte: 'lte',
+    in: 'in',
+    nin: 'notIn',
+    contains: 'contains',
+    startsWith: 'startsWith',
+    endsWith: 'endsWith'
+}
+
+/**
+ * Prisma `where` input for a filter AST
+ * @example
+ * ```typescript
+ * const users = await prisma.user.findMany({
+ *     where: toPrismaWhere(req.filter),
+ *     orderBy: toPrismaOrderBy(req.filter)
+ * });
+ * ```
+ */
+export function toPrismaWhere(filter: FilterAST | undefined, options: { insensitive?: boolean } = {}): Record<string, unknown> {
+    if (!filter?.conditions.length) return {};
+    const clauses = filter.conditions.map(({ field, operator, value }) => {
+        switch (operator) {
+            case 'eq':
+                return { [field]: value };
+            case 'ne':
+                return { [field]: { not: value } };
+            case 'exists':
+                return { [field]: value ? { not: null } : null };
+            default: {
+                const condition: Record<string, unknown> = { [PRISMA_OPERATORS[operator]]: value };
+                if (options.insensitive && ['contains', 'startsWith', 'endsWith'].includes(operator)) {
+                    condition.mode = 'insensitive';
+                }
+                return { [field]: condition };
+            }
+        }
+    });
+    return clauses.length === 1 ? clauses[0] : { AND: clauses };
+}
+
+export function toPrismaOrderBy(filter: FilterAST | undefined): Array<Record<string, 'asc' | 'desc'>> {
+    return (filter?.sort || []).map(({ field, direction }) => ({ [field]: direction }));
+}
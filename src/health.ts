@@ -0,0 +1,153 @@
+import { FastifyInstance } from 'fastify';
+import { AppContext, AppOptions } from './types.js';
+
+export type HealthCheckStatus = 'ok' | 'error' | 'timeout';
+
+export type HealthCheckResult = {
+    status: HealthCheckStatus;
+    latency: number;
+    error?: string;
+}
+
+export interface HealthCheck {
+    name: string;
+    /**
+     * Throw or return false to report the check as failed
+     */
+    check: (ctx: AppContext) => Promise<boolean | void> | boolean | void;
+    /**
+     * Per-check timeout in ms, falls back to HealthOptions.timeout
+     */
+    timeout?: number;
+}
+
+export type HealthReport = {
+    status: 'ok' | 'error' | 'shutting_down';
+    checks: Record<string, HealthCheckResult>;
+}
+
+export type HealthOptions = {
+    /**
+     * Route prefix for /live and /ready
+     * @default '/health'
+     */
+    prefix?: string;
+    /**
+     * Default timeout for a single readiness check in ms
+     * @default 3000
+     */
+    timeout?: number;
+    /**
+     * Checks registered by the application itself
+     */
+    checks?: HealthCheck[];
+}
+
+const defaultHealth: HealthOptions = {
+    prefix: '/health',
+    timeout: 3000,
+    checks: []
+}
+
+export function setupHealth(healthOptions?: AppOptions['healthOptions']): false | HealthOptions {
+    let options: HealthOptions = defaultHealth;
+    if (!healthOptions) return false;
+    if ('function' === typeof healthOptions) {
+        options = healthOptions(defaultHealth);
+    } else if ('object' === typeof healthOptions) {
+        options = { ...defaultHealth, ...healthOptions };
+    }
+    return options;
+}
+
+export class HealthRegistry {
+    private readonly checks = new Map<string, HealthCheck>();
+    private shuttingDown = false;
+    public timeout = defaultHealth.timeout;
+
+    constructor(private readonly context: AppContext) { }
+
+    public register(check: HealthCheck): void {
+        if (this.checks.has(check.name)) {
+            console.warn(`⚠️ Health check "${check.name}" is already registered and will be replaced`);
+        }
+        this.checks.set(check.name, check);
+    }
+
+    public unregister(name: string): void {
+        this.checks.delete(name);
+    }
+
+    public getAll(): HealthCheck[] {
+        return Array.from(this.checks.values());
+    }
+
+    public markShuttingDown(): void {
+        this.shuttingDown = true;
+    }
+
+    public isShuttingDown(): boolean {
+        return this.shuttingDown;
+    }
+
+    private async runCheck(check: HealthCheck): Promise<HealthCheckResult> {
+        const startTime = Date.now();
+        const timeout = check.timeout ?? this.timeout;
+        let timer: NodeJS.Timeout | undefined;
+        const expired = new Promise<'timeout'>((resolve) => {
+            timer = setTimeout(() => resolve('timeout'), timeout);
+        });
+        try {
+            const result = await Promise.race([
+                Promise.resolve().then(() => check.check(this.context)),
+                expired
+            ]);
+            const latency = Date.now() - startTime;
+            if (result === 'timeout') {
+                return { status: 'timeout', latency, error: `Timed out after ${timeout}ms` };
+            }
+            if (result === false) {
+                return { status: 'error', latency };
+            }
+            return { status: 'ok', latency };
+        } catch (error) {
+            return { status: 'error', latency: Date.now() - startTime, error: error?.message || String(error) };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Run all checks in parallel and aggregate them into a readiness report
+     */
+    public async check(): Promise<HealthReport> {
+        const checks = this.getAll();
+        const results = await Promise.all(checks.map(check => this.runCheck(check)));
+        const report: HealthReport = {
+            status: 'ok',
+            checks: {}
+        };
+        checks.forEach((check, index) => {
+            report.checks[check.name] = results[index];
+            if (results[index].status !== 'ok') {
+                report.status = 'error';
+            }
+        });
+        if (this.shuttingDown) {
+            report.status = 'shutting_down';
+        }
+        return report;
+    }
+}
+
+export function registerHealthRoutes(fastify: FastifyInstance, registry: HealthRegistry, options: HealthOptions): void {
+    const prefix = (options.prefix || defaultHealth.prefix).replace(/\/+$/, '');
+    fastify.get(`${prefix}/live`, { schema: { hide: true } }, async (_req, reply) => {
+        return reply.code(200).send({ status: 200, data: { status: 'ok' } });
+    });
+    fastify.get(`${prefix}/ready`, { schema: { hide: true } }, async (_req, reply) => {
+        const report = await registry.check();
+        const code = report.status === 'ok' ? 200 : 503;
+        return reply.code(code).send({ status: code, data: report });
+    });
+}
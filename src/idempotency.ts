@@ -0,0 +1,226 @@
+import { createHash } from 'crypto';
+import { FastifyReply, FastifyRequest } from 'fastify';
+import { TProperties, Type } from '@sinclair/typebox';
+import { ResponseError } from './response.js';
+import { principalKey } from './auth.js';
+
+export type IdempotencyRecord = {
+    fingerprint: string;
+    state: 'pending' | 'completed';
+    status?: number;
+    body?: string;
+    contentType?: string;
+    /**
+     * Epoch milliseconds
+     */
+    expiresAt: number;
+}
+
+/**
+ * Storage of idempotency records. `begin` must be atomic so concurrent duplicates
+ * cannot both acquire the same key.
+ */
+export interface IdempotencyStore {
+    /**
+     * Create a pending record unless the key exists
+     * @returns undefined when the key was acquired, otherwise the existing record
+     */
+    begin(key: string, fingerprint: string, ttl: number): Promise<IdempotencyRecord | undefined>;
+    get(key: string): Promise<IdempotencyRecord | undefined>;
+    complete(key: string, record: IdempotencyRecord): Promise<void>;
+    /**
+     * Drop a pending record so the request can be retried
+     */
+    release(key: string): Promise<void>;
+}
+
+export type IdempotencyOptions = {
+    /**
+     * How long responses are replayed, in milliseconds
+     * @default 86400000 (24 hours)
+     */
+    ttl?: number;
+    /**
+     * @default shared memoryIdempotencyStore()
+     */
+    store?: IdempotencyStore;
+    /**
+     * @default 'idempotency-key'
+     */
+    header?: string;
+    /**
+     * Reject requests without the header with 400
+     * @default false
+     */
+    required?: boolean;
+    /**
+     * How long a duplicate waits for the first request to finish before getting 409, in milliseconds
+     * @default 10000
+     */
+    waitTimeout?: number;
+    /**
+     * Extra key segment so different callers cannot share keys
+     * @default principalKey(req): the authenticated user id or a hash of its credentials
+     */
+    scope?: (req: FastifyRequest) => string | undefined;
+}
+
+/**
+ * Expired records are swept every `SWEEP_INTERVAL` calls of `begin`
+ */
+const SWEEP_INTERVAL = 100;
+
+export function memoryIdempotencyStore(): IdempotencyStore {
+    const records = new Map<string, IdempotencyRecord>();
+    let calls = 0;
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, record] of records) {
+            if (record.expiresAt <= now) records.delete(key);
+        }
+    };
+    return {
+        async begin(key, fingerprint, ttl) {
+            if (++calls % SWEEP_INTERVAL === 0) sweep();
+            const existing = records.get(key);
+            if (existing && existing.expiresAt > Date.now()) {
+                return existing;
+            }
+            records.set(key, { fingerprint, state: 'pending', expiresAt: Date.now() + ttl });
+            return undefined;
+        },
+        async get(key) {
+            const record = records.get(key);
+            return record && record.expiresAt > Date.now() ? record : undefined;
+        },
+        async complete(key, record) {
+            records.set(key, record);
+        },
+        async release(key) {
+            records.delete(key);
+        }
+    };
+}
+
+let defaultStore: IdempotencyStore | null = null;
+
+function stableStringify(value: unknown): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash of method, URL and body; key order of body objects does not matter
+ */
+export function fingerprintRequest(method: string, url: string, body: unknown): string {
+    return createHash('sha256').update(`${method} ${url}\n${stableStringify(body)}`).digest('hex');
+}
+
+export function idempotencyHeaderProperties(options: IdempotencyOptions): TProperties {
+    const header = Type.String({
+        minLength: 1,
+        maxLength: 255,
+        description: 'Unique key of this operation. Retries with the same key and payload replay the first response.'
+    });
+    return {
+        [(options.header || 'idempotency-key').toLowerCase()]: options.required ? header : Type.Optional(header)
+    };
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Route hooks implementing idempotent retries:
+ * - preHandler acquires the key, replays a completed response or waits for a pending duplicate
+ * - onSend stores the serialized response (5xx responses release the key instead)
+ * - onResponse releases keys of requests that never produced a storable response
+ */
+export function createIdempotency(options: IdempotencyOptions, routeId: string) {
+    const ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    const headerName = (options.header || 'idempotency-key').toLowerCase();
+    const waitTimeout = options.waitTimeout ?? 10000;
+    const store = options.store || (defaultStore = defaultStore || memoryIdempotencyStore());
+    const acquired = new WeakMap<FastifyRequest, { key: string; fingerprint: string; completed?: boolean }>();
+
+    const replay = (reply: FastifyReply, record: IdempotencyRecord) => {
+        reply.header('Idempotent-Replayed', 'true');
+        if (record.contentType) {
+            reply.type(record.contentType);
+        }
+        return reply.code(record.status).send(record.body ?? '');
+    };
+
+    return {
+        /**
+         * @returns false when a stored response was replayed
+         * @throws ResponseError(400 | 409)
+         */
+        async preHandler(req: FastifyRequest, reply: FastifyReply): Promise<boolean> {
+            const header = req.headers[headerName];
+            const idempotencyKey = Array.isArray(header) ? header[0] : header;
+            if (!idempotencyKey) {
+                if (options.required) {
+                    throw new ResponseError(400, `Missing ${headerName} header`);
+                }
+                return true;
+            }
+            const scope = (options.scope || principalKey)(req);
+            const key = [routeId, scope, idempotencyKey].filter(Boolean).join(':');
+            const fingerprint = fingerprintRequest(req.method, req.url, req.body);
+            const startedAt = Date.now();
+            let existing = await store.begin(key, fingerprint, ttl);
+            while (existing) {
+                if (existing.fingerprint !== fingerprint) {
+                    throw new ResponseError(409, `${headerName} was already used with a different request payload`);
+                }
+                if (existing.state === 'completed') {
+                    replay(reply, existing);
+                    return false;
+                }
+                if (Date.now() - startedAt >= waitTimeout) {
+                    throw new ResponseError(409, `A request with this ${headerName} is still being processed`);
+                }
+                // Serialize concurrent duplicates: wait until the first request stores its response
+                await sleep(Math.min(50 * 2 ** Math.floor((Date.now() - startedAt) / 1000), 500));
+                existing = await store.get(key);
+                if (!existing) {
+                    // The first request failed and released the key, try to take it over
+                    existing = await store.begin(key, fingerprint, ttl);
+                }
+            }
+            acquired.set(req, { key, fingerprint });
+            return true;
+        },
+        async onSend(req: FastifyRequest, reply: FastifyReply, payload: unknown): Promise<void> {
+            const entry = acquired.get(req);
+            if (!entry || entry.completed) return;
+            entry.completed = true;
+            const storable = typeof payload === 'string' || Buffer.isBuffer(payload) || payload === undefined || payload === null;
+            if (reply.statusCode >= 500 || !storable) {
+                await store.release(entry.key);
+                return;
+            }
+            const contentType = reply.getHeader('content-type');
+            await store.complete(entry.key, {
+                fingerprint: entry.fingerprint,
+                state: 'completed',
+                status: reply.statusCode,
+                body: payload === undefined || payload === null ? undefined : String(payload),
+                contentType: contentType ? String(contentType) : undefined,
+                expiresAt: Date.now() + ttl
+            });
+        },
+        async onResponse(req: FastifyRequest): Promise<void> {
+            const entry = acquired.get(req);
+            if (entry && !entry.completed) {
+                entry.completed = true;
+                await store.release(entry.key);
+            }
+        }
+    };
+}
@@ -1,12 +1,14 @@
 import 'reflect-metadata';
 import fastifyMultipart, { FastifyMultipartAttachFieldsToBodyOptions } from '@fastify/multipart';
-import Fastify, { FastifyInstance, FastifyRequest, FastifyServerOptions } from 'fastify';
-import { AppContext, AppMainOptions, AppOptions, UploadFile } from './types.js';
+import Fastify, { FastifyRequest, FastifyServerOptions } from 'fastify';
+import { AppContext, AppMainOptions, AppOptions, TestAppContext, TestInjectResponse, UploadFile } from './types.js';
 import { TypeBoxTypeProvider } from '@fastify/type-provider-typebox';
 import { setupCors } from './cors.js';
 import { setupHelmet } from './helmet.js';
-import { setupRateLimit } from './rate-limit.js';
-import { setupSwagger } from './swagger.js';
+import { AppRateLimitOptions, resolveRateLimitTiers, setupRateLimit } from './rate-limit.js';
+import { exportOpenApi, OPENAPI_EXPORT_ENV, setupSwagger } from './swagger.js';
+import { gracefulShutdown, registerShutdownSignals, setupShutdown, ShutdownOptions } from './shutdown.js';
+import { HealthOptions, HealthRegistry, registerHealthRoutes, setupHealth } from './health.js';
 import { initApp } from './app.js';
 import { pastel, rainbow, cristal, vice, passion } from 'gradient-string';
 import path from 'path';
@@ -16,21 +18,34 @@ import fileLoader, { fileLoaderWithContext } from './file-loader.js';
 import { makeLoadPath, removeTrailingSlash } from './utils.js';
 import { setupStatic } from './static.js';
 import { Container } from 'typedi';
-import { RouteBuilder, StatusSchemas } from './route.js';
+import { FileOptions, RouteBuilder, StatusSchemas } from './route.js';
+import { setupUploads, streamUploadPart, UploadStorage } from './uploads.js';
+import { Readable } from 'stream';
+import { metaRouteSchemaStorage } from './meta.js';
 import { TSchema } from '@sinclair/typebox';
 import cors from '@fastify/cors';
 import helmet from '@fastify/helmet';
 import rateLimit from '@fastify/rate-limit';
-import fastifySwagger from '@fastify/swagger';
+import fastifySwagger, { FastifyDynamicSwaggerOptions } from '@fastify/swagger';
 import fastifySwaggerUi from '@fastify/swagger-ui';
 import fastifyStatic from '@fastify/static';
 import { getSyncQueueProvider } from "@tsdiapi/syncqueue";
 import { createRequestContextHook, createRequestContextCleanupHook } from './request-context.js';
 import { autoRegisterSchemas, initializeSchemaRegistry, flushSchemas } from './schema-registry.js';
-
-// Package version - exported for API versioning
+import { setErrorFormat } from './response.js';
+import { ErrorMapper, sendResponseError } from './errors.js';
+import { writeClient } from './client-generator.js';
+import { checkOpenApiBaseline } from './openapi-diff.js';
+import { setupVersioning, VersionRegistry } from './versioning.js';
+import { CacheManager, CacheOptions, createETagHook, setupCache } from './cache.js';
+import { createLoggerOptions, createRequestIdGenerator, createRequestIdHeaderHook, setLogger, setupLogging } from './logging.js';
+import { createTracingHooks, setTracer, setupTracing, Tracer } from './tracing.js';
+import { MetricsOptions, MetricsRegistry, registerMetrics, setupMetrics } from './metrics.js';
+import { AuthOptions, AuthRegistry, setupAuth } from './auth.js';
+import { createSessionHooks, SessionManager, SessionOptions, sessionStrategy, setupSession } from './session.js';
+
+// Package version
 export const VERSION = '0.3.5';
-export const API_VERSION = 'v1';
 
 export * from './types.js';
 export * from './route.js';
@@ -38,6 +53,28 @@ export * from './meta.js';
 export * from './response.js';
 export * from './request-context.js';
 export * from './schema-registry.js';
+export { gracefulShutdown } from './shutdown.js';
+export type { ShutdownOptions } from './shutdown.js';
+export * from './health.js';
+export * from './errors.js';
+export * from './uploads.js';
+export * from './response-validation.js';
+export * from './client-generator.js';
+export { exportOpenApi, OPENAPI_EXPORT_ENV } from './swagger.js';
+export * from './openapi-diff.js';
+export * from './versioning.js';
+export * from './pagination.js';
+export * from './filtering.js';
+export * from './idempotency.js';
+export * from './cache.js';
+export * from './logging.js';
+export * from './tracing.js';
+export * from './metrics.js';
+export * from './auth.js';
+export * from './authorization.js';
+export * from './session.js';
+export * from './rate-limit.js';
+export * from './limits.js';
 export { addSchema, refSchema } from './schema-registry.js';
 
 let context: AppContext | null = null;
@@ -49,41 +86,112 @@ function setContext(newContext: AppContext): void {
 }
 export async function createApp<T extends object = Record<string, any>>(options: AppOptions<T> = {}): Promise<AppContext<T> | null> {
     const fastifyOptions = 'function' === typeof options.fastifyOptions ? options.fastifyOptions : (defaultOptions: FastifyServerOptions) => defaultOptions;
+    const versioningOptions = setupVersioning(options.versioning);
+    const versions = versioningOptions ? new VersionRegistry(versioningOptions) : undefined;
+    const loggingOptions = setupLogging(options.loggingOptions);
+    options.loggingOptions = loggingOptions;
     const fastify = Fastify(fastifyOptions({
-        logger: options.logger ?? false,
+        logger: options.logger ? createLoggerOptions(loggingOptions) : false,
+        genReqId: createRequestIdGenerator(loggingOptions),
         ajv: {
-            customOptions: { strict: false }
-        }
+            // allErrors reports every invalid field in 400 details, not only the first one
+            customOptions: { strict: false, allErrors: true }
+        },
+        // Header-negotiated versions are resolved to their /v{n}/ route before routing
+        ...(versions ? { rewriteUrl: (req) => versions.rewrite(req) } : {})
     })).withTypeProvider<TypeBoxTypeProvider>();
-    fastify.addHook('onClose', (_, done) => {
-        console.log(cristal('👋 Bye bye! Fastify server is shutting down...'));
-        done();
-    });
+    // OPENAPI_EXPORT=<file> builds the app, writes the spec and exits without listening
+    const openApiExportPath = options.listen !== false ? process.env[OPENAPI_EXPORT_ENV] : undefined;
+    const listen = options.listen !== false && !openApiExportPath;
+    if (listen) {
+        fastify.addHook('onClose', (_, done) => {
+            console.log(cristal('👋 Bye bye! Fastify server is shutting down...'));
+            done();
+        });
+    }
     
+    setLogger(options.logger ? fastify.log : null, loggingOptions);
+    if (loggingOptions.responseHeader) {
+        fastify.addHook('onRequest', createRequestIdHeaderHook(loggingOptions.responseHeader));
+    }
+
     // Initialize request context for each incoming request
     // This hook runs at the very beginning of request processing
     fastify.addHook('onRequest', createRequestContextHook());
+
+    // Root span per request, registered after the context hook so trace ids land in the request context
+    const tracingOptions = setupTracing(options.tracingOptions);
+    options.tracingOptions = tracingOptions;
+    const tracer = tracingOptions ? new Tracer(tracingOptions) : undefined;
+    setTracer(tracer || null);
+    if (tracer) {
+        const tracingHooks = createTracingHooks(tracer);
+        fastify.addHook('onRequest', tracingHooks.onRequest);
+        fastify.addHook('onResponse', tracingHooks.onResponse);
+        // Export spans still buffered when the server closes
+        fastify.addHook('onClose', async () => {
+            await tracer.shutdown();
+        });
+    }
     
     // Clean up request context after response is sent
     // This helps prevent memory leaks by clearing large objects
     fastify.addHook('onResponse', createRequestContextCleanupHook());
+
+    // Remove streamed uploads from temporary storage once the response is sent
+    fastify.addHook('onResponse', async (req) => {
+        if (!Array.isArray(req.tempFiles)) return;
+        for (const file of req.tempFiles) {
+            if (file?.storage) {
+                await file.storage.remove(file).catch((error): void => {
+                    console.warn(`⚠️ Failed to remove temporary upload "${file.filename}": ${error.message}`);
+                });
+            }
+        }
+    });
     
     try {
-        console.log(pastel.multiline("🚀 Welcome to TSDIAPI!"));
-        console.log(rainbow("✨ Starting the server..."));
+        if (listen) {
+            console.log(pastel.multiline("🚀 Welcome to TSDIAPI!"));
+            console.log(rainbow("✨ Starting the server..."));
+        }
         const cwd = process.cwd();
 
         const multipartOptions = 'function' === typeof options.multipartOptions ? options.multipartOptions : (defaultOptions: Partial<FastifyMultipartAttachFieldsToBodyOptions>) => defaultOptions;
         options.corsOptions = await setupCors(options.corsOptions);
         options.rateLimitOptions = setupRateLimit(options.rateLimitOptions);
+        options.uploadOptions = setupUploads(options.uploadOptions);
+        options.cacheOptions = setupCache(options.cacheOptions);
+        if (options.cacheOptions.etag) {
+            fastify.addHook('onSend', createETagHook(options.cacheOptions.etag));
+        }
+        const uploadOptions = options.uploadOptions;
         options.multipartOptions = multipartOptions({
             limits: {
                 fileSize: 50 * 1024 * 1024,
             },
             attachFieldsToBody: 'keyValues',
             onFile: async function (this: FastifyRequest, part) {
-                const bufferPromise = await part.toBuffer();
                 const uniqId = `${part.fieldname}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                if (uploadOptions.mode === 'stream') {
+                    const file: UploadFile = {
+                        id: uniqId,
+                        fieldname: part.fieldname,
+                        filename: part.filename,
+                        encoding: part.encoding,
+                        mimetype: part.mimetype,
+                        filesize: 0,
+                    }
+                    const fileOptions = (this.routeOptions.config as { fileOptions?: Record<string, FileOptions> })?.fileOptions;
+                    const maxFileSize = (fileOptions?.[part.fieldname] || fileOptions?.default)?.maxFileSize;
+                    this.tempFiles = this.tempFiles || [];
+                    this.tempFiles.push(file);
+                    await streamUploadPart(part, file, uploadOptions.storage as UploadStorage, maxFileSize);
+                    // Nothing is buffered, so expose the file id as the field value
+                    (part as unknown as { value: string }).value = uniqId;
+                    return;
+                }
+                const bufferPromise = await part.toBuffer();
                 const file: UploadFile = {
                     id: uniqId,
                     fieldname: part.fieldname,
@@ -92,6 +200,7 @@ export async function createApp<T extends object = Record<string, any>>(options:
                     mimetype: part.mimetype,
                     buffer: bufferPromise,
                     filesize: bufferPromise.byteLength,
+                    createReadStream: () => Readable.from(bufferPromise),
                 }
                 this.tempFiles = this.tempFiles || [];
                 this.tempFiles.push(file);
@@ -99,13 +208,61 @@ export async function createApp<T extends object = Record<string, any>>(options:
         }) as FastifyMultipartAttachFieldsToBodyOptions;
 
         options.helmetOptions = setupHelmet(options.helmetOptions);
+        options.shutdownOptions = setupShutdown(options.shutdownOptions);
+        options.healthOptions = setupHealth(options.healthOptions);
+        options.metricsOptions = setupMetrics(options.metricsOptions);
+        options.authOptions = setupAuth(options.authOptions);
+        options.sessionOptions = setupSession(options.sessionOptions);
+        setErrorFormat(options.errorFormat);
 
 
         const context = await initApp<T>(cwd, options, fastify) as AppContext<T>;
         setContext(context);
+        context.health = new HealthRegistry(context);
+        context.errors = new ErrorMapper(options.errorMapperOptions);
+        context.versions = versions;
+        context.cache = new CacheManager(options.cacheOptions as CacheOptions);
+        context.tracer = tracer;
+        context.metrics = new MetricsRegistry((context.options.metricsOptions as MetricsOptions) || undefined);
+        context.auth = new AuthRegistry(options.authOptions as AuthOptions);
+        if (options.sessionOptions) {
+            const sessions = new SessionManager(options.sessionOptions as SessionOptions);
+            const sessionHooks = createSessionHooks(sessions);
+            fastify.addHook('onRequest', sessionHooks.onRequest);
+            fastify.addHook('preHandler', sessionHooks.preHandler);
+            fastify.addHook('onSend', sessionHooks.onSend);
+            context.sessions = sessions;
+            if (!context.auth.has('session')) {
+                context.auth.register('session', sessionStrategy(sessions.options.cookieName));
+            }
+        }
+        // Errors outside RouteBuilder routes (and Fastify's own validation/parsing errors) share the same mapper
+        fastify.setErrorHandler((error, req, reply) => {
+            return sendResponseError(req, reply, context.errors.translate(error, req));
+        });
+        if (context.options.healthOptions) {
+            const healthOptions = context.options.healthOptions as HealthOptions;
+            context.health.timeout = healthOptions.timeout ?? context.health.timeout;
+            for (const check of healthOptions.checks || []) {
+                context.health.register(check);
+            }
+        }
         if (options.fileLoader) {
             context.fileLoader = options.fileLoader;
         }
+        // Delete files persisted by the file loader when the request ended with an error
+        fastify.addHook('onResponse', async (req, reply) => {
+            if (reply.statusCode < 400 || !context.fileLoader?.remove || !Array.isArray(req.tempFiles)) return;
+            for (const file of req.tempFiles) {
+                if (file?.url) {
+                    try {
+                        await context.fileLoader.remove(file);
+                    } catch (error) {
+                        console.warn(`⚠️ Failed to remove orphaned upload "${file.filename}": ${error.message}`);
+                    }
+                }
+            }
+        });
 
         const pendingBuilds: Array<Promise<void>> = [];
         function useRoute<
@@ -142,12 +299,16 @@ export async function createApp<T extends object = Record<string, any>>(options:
         context.useRoute = useRoute;
 
         const host = context.projectConfig.get('HOST', 'localhost') as string;
+        const configPort = context.projectConfig.get('PORT', 3000) as number;
         const appOptions: AppMainOptions = {
-            PORT: await findAvailablePort(host, context.projectConfig.get('PORT', 3000) as number),
+            PORT: listen ? await findAvailablePort(host, configPort) : configPort,
             HOST: host,
             APP_NAME: context.projectPackage.name || context.projectConfig.get('APP_NAME', 'TSDIAPI Server'),
             APP_VERSION: context.projectPackage.version || context.projectConfig.get('APP_VERSION', '1.0.0'),
         };
+        if (tracer && !tracer.options.serviceName) {
+            tracer.serviceName = appOptions.APP_NAME;
+        }
         const { swaggerOptions, swaggerUiOptions } = setupSwagger(options, appOptions);
         context.options.swaggerOptions = swaggerOptions;
         context.options.swaggerUiOptions = swaggerUiOptions;
@@ -159,6 +320,9 @@ export async function createApp<T extends object = Record<string, any>>(options:
                 if (plugin) {
                     // Add the all plugins to the context before calling onInit
                     context.plugins[plugin.name] = plugin;
+                    for (const check of plugin.healthChecks || []) {
+                        context.health.register(check);
+                    }
                 }
             }
             for (const plugin of options.plugins) {
@@ -182,6 +346,7 @@ export async function createApp<T extends object = Record<string, any>>(options:
             try {
                 await options.onInit(context);
             } catch (error) {
+                if (!listen) throw error;
                 console.error(`OnInit error:`, error);
                 process.exit(1);
             }
@@ -208,9 +373,20 @@ export async function createApp<T extends object = Record<string, any>>(options:
             await fastify.register(helmet, context.options.helmetOptions as helmet.FastifyHelmetOptions);
         }
         if (context.options.rateLimitOptions && typeof context.options.rateLimitOptions === 'object') {
-            await fastify.register(rateLimit, context.options.rateLimitOptions as any);
+            await fastify.register(rateLimit, resolveRateLimitTiers(context.options.rateLimitOptions as AppRateLimitOptions));
         }
         if (context.options.swaggerOptions) {
+            // Document the schemes of configured strategies, including those added by plugins in onInit
+            const openapi = (context.options.swaggerOptions as FastifyDynamicSwaggerOptions).openapi;
+            if (openapi) {
+                openapi.components = {
+                    ...openapi.components,
+                    securitySchemes: {
+                        ...openapi.components?.securitySchemes,
+                        ...context.auth.securitySchemes() as NonNullable<typeof openapi.components>['securitySchemes']
+                    }
+                };
+            }
             await fastify.register(fastifySwagger, context.options.swaggerOptions);
         }
         if (context.options.swaggerUiOptions) {
@@ -222,6 +398,9 @@ export async function createApp<T extends object = Record<string, any>>(options:
                 return reply.sendFile("index.html");
             });
         }
+        if (context.fileLoader?.staticOptions) {
+            await fastify.register(fastifyStatic, context.fileLoader.staticOptions);
+        }
 
         const apiDir = path.join(context.appDir, options.apiDir || 'api');
         const apiRelativePath = removeTrailingSlash(path.relative(context.appDir, apiDir));
@@ -249,6 +428,13 @@ export async function createApp<T extends object = Record<string, any>>(options:
             res.status(404).send({ status: 404, message: "Page Not Found!" });
         });
 
+        if (context.options.healthOptions) {
+            registerHealthRoutes(fastify, context.health, context.options.healthOptions as HealthOptions);
+        }
+        if (context.options.metricsOptions) {
+            registerMetrics(fastify, context.metrics, context.options.metricsOptions as MetricsOptions);
+        }
+
         // Add preParsing hook to handle empty body for JSON requests
         fastify.addHook('preParsing', async (req, _reply, payload) => {
             // Handle empty body for JSON requests (but not multipart)
@@ -387,12 +573,31 @@ export async function createApp<T extends object = Record<string, any>>(options:
 
             await fastify.ready()
             fastify.swagger();
-            const port = appOptions.PORT;
-            const appHost = appOptions.HOST;
-            const environment = context.environment;
-            await fastify.listen({ port });
-            console.log(passion(`🚀 Server started at http://${appHost}:${port}\n🚨️ Environment: ${environment}`));
-            console.log(vice(`Swagger UI is available at http://${appHost}:${port}${context.options?.swaggerUiOptions?.routePrefix}`));
+            if (options?.clientGenerator?.output) {
+                try {
+                    const clientPath = await writeClient(options.clientGenerator.output, options.clientGenerator);
+                    console.log(cristal(`📦 Client SDK written to ${clientPath}`));
+                } catch (error) {
+                    console.error(`⚠️ Failed to generate client SDK:\n`, error.stack || error);
+                }
+            }
+            if (openApiExportPath) {
+                const specPath = await exportOpenApi(fastify, openApiExportPath);
+                console.log(cristal(`📄 OpenAPI document written to ${specPath}`));
+                await fastify.close();
+                process.exit(0);
+            }
+            if (options?.openApiBaseline) {
+                await checkOpenApiBaseline(fastify, options.openApiBaseline);
+            }
+            if (listen) {
+                const port = appOptions.PORT;
+                const appHost = appOptions.HOST;
+                const environment = context.environment;
+                await fastify.listen({ port });
+                console.log(passion(`🚀 Server started at http://${appHost}:${port}\n🚨️ Environment: ${environment}`));
+                console.log(vice(`Swagger UI is available at http://${appHost}:${port}${context.options?.swaggerUiOptions?.routePrefix}`));
+            }
             if (options?.afterStart) {
                 try {
                     await options.afterStart(context);
@@ -412,35 +617,56 @@ export async function createApp<T extends object = Record<string, any>>(options:
                 }
             }
         } catch (err) {
+            if (!listen) throw err;
             fastify.log.error(err);
             process.exit(1);
         }
 
+        if (!listen) {
+            return context;
+        }
+
         try {
-            ["SIGINT", "SIGTERM"].forEach(signal => {
-                process.on(signal, async () => {
-                    console.log(
-                        cristal(`
-        👋 Forced shutdown due to timeout.
-        🔌 Some processes didn't close in time!
-        💀 Terminating immediately...
-        `))
-                    await gracefulShutdown(fastify);
-                });
-            });
+            if (context.options.shutdownOptions) {
+                registerShutdownSignals(context, context.options.shutdownOptions as ShutdownOptions);
+            }
         } catch (error) {
             console.error(cristal("❌ Error starting the server:"), error);
         }
 
         return context
     } catch (error) {
+        if (!listen) throw error;
         console.error(cristal("❌ Error starting the server:"), error);
     }
     return null;
 }
 
-const gracefulShutdown = async (server: FastifyInstance) => {
-    console.log(rainbow("✨ Almost done, cleaning up resources..."));
-    await server.close();
-    process.exit(0);
-};
+/**
+ * Build the app in-process for tests: runs the full createApp pipeline without listening
+ * and exposes Fastify's inject() to send requests in memory.
+ *
+ * @example
+ * ```typescript
+ * const app = await createTestApp({ apiDir: 'api' });
+ * const res = await app.inject<{ status: 200; data: User }>({ method: 'GET', url: '/api/users/1' });
+ * expect(res.json().data.id).toBe('1');
+ * await app.close();
+ * ```
+ */
+export async function createTestApp<T extends object = Record<string, any>>(options: AppOptions<T> = {}): Promise<TestAppContext<T>> {
+    // Route schema ids and meta are module-level, reset them so every test app registers its own
+    RouteBuilder.clearSchemaRegistry();
+    metaRouteSchemaStorage.clear();
+    const context = await createApp<T>({ ...options, listen: false }) as AppContext<T>;
+    const testContext = context as TestAppContext<T>;
+    testContext.inject = async <R = unknown>(injectOptions: Parameters<TestAppContext<T>['inject']>[0]) => {
+        return await context.fastify.inject(injectOptions) as TestInjectResponse<R>;
+    };
+    testContext.close = async () => {
+        const timeout = (context.options.shutdownOptions as ShutdownOptions)?.timeout;
+        await gracefulShutdown(context, timeout);
+    };
+    return testContext;
+}
+
@@ -0,0 +1,242 @@
+import { FastifyReply, FastifyRequest } from 'fastify';
+import { ResponseError, ResponseServiceUnavailable } from './response.js';
+
+export type RouteTimeoutOptions = {
+    /**
+     * Milliseconds from the first preHandler (the body is already received) until the response
+     */
+    ms: number;
+    /**
+     * Status of the timeout response
+     * @default 503
+     */
+    status?: 503 | 504;
+}
+
+export type RouteConcurrencyOptions = {
+    /**
+     * Requests handled at the same time
+     */
+    limit: number;
+    /**
+     * Requests waiting for a free slot, further requests are rejected with 503
+     * @default 0
+     */
+    queue?: number;
+    /**
+     * Milliseconds a request may wait in the queue before it is rejected with 503
+     * @default 30000
+     */
+    queueTimeout?: number;
+}
+
+/**
+ * Details of 503 responses for requests over the concurrency limit
+ */
+export type ConcurrencyLimitDetails = {
+    limit: number;
+    queue: number;
+}
+
+const routeControllers = new WeakMap<FastifyRequest, AbortController>();
+
+/**
+ * Run `listener` once the response is closed, right away when the client already disconnected
+ * (listeners attached after a preHandler awaited would otherwise never fire)
+ */
+function onResponseClose(reply: FastifyReply, listener: () => void): void {
+    if (reply.raw.destroyed) {
+        listener();
+    } else {
+        reply.raw.once('close', listener);
+    }
+}
+
+/**
+ * Signal of a limited route, replacing `req.signal`: aborted by `.timeout()` and when the client
+ * disconnects before the response was written. Fastify's own signal already fires once the body was read.
+ */
+export function routeSignal(req: FastifyRequest, reply: FastifyReply): AbortSignal {
+    return routeController(req, reply).signal;
+}
+
+function routeController(req: FastifyRequest, reply: FastifyReply): AbortController {
+    let controller = routeControllers.get(req);
+    if (!controller) {
+        const created = controller = new AbortController();
+        routeControllers.set(req, created);
+        Object.defineProperty(req, 'signal', { value: created.signal, configurable: true });
+        onResponseClose(reply, () => {
+            if (!reply.raw.writableFinished && !created.signal.aborted) {
+                created.abort(new Error('Client closed the request'));
+            }
+        });
+    }
+    return controller;
+}
+
+/**
+ * Abort `req.signal` and send the timeout response once `ms` elapsed.
+ * The handler is not interrupted: it should stop once `req.signal` aborts, and a concurrency slot
+ * stays taken until it settled.
+ */
+export function startRequestTimeout(
+    req: FastifyRequest,
+    reply: FastifyReply,
+    options: RouteTimeoutOptions,
+    sendTimeout: (error: ResponseError<number, unknown>) => void
+): AbortSignal {
+    const controller = routeController(req, reply);
+    const timer = setTimeout(() => {
+        const error = new ResponseError(options.status ?? 503, `Request timed out after ${options.ms} ms`);
+        controller.abort(error);
+        if (!reply.sent) {
+            sendTimeout(error);
+        }
+    }, options.ms);
+    onResponseClose(reply, () => clearTimeout(timer));
+    return controller.signal;
+}
+
+type HeldSlot = {
+    release: () => void;
+    handler?: Promise<unknown>;
+}
+
+const heldSlots = new WeakMap<FastifyRequest, HeldSlot>();
+
+/**
+ * Keep a concurrency slot until the response is closed and the handler settled, so requests
+ * answered early by a timeout or abandoned by the client still count while their handler runs
+ */
+export function holdConcurrencySlot(req: FastifyRequest, reply: FastifyReply, release: () => void): void {
+    const slot: HeldSlot = { release };
+    heldSlots.set(req, slot);
+    onResponseClose(reply, () => {
+        if (slot.handler) {
+            slot.handler.then(release, release);
+        } else {
+            release();
+        }
+    });
+}
+
+/**
+ * Run the route handler, tracked by the concurrency slot of the request if it holds one
+ */
+export function trackHandler<T>(req: FastifyRequest, run: () => Promise<T>): Promise<T> {
+    const running = run();
+    const slot = heldSlots.get(req);
+    if (slot) {
+        slot.handler = running;
+    }
+    return running;
+}
+
+type Waiter = {
+    resolve: (release: () => void) => void;
+    reject: (error: unknown) => void;
+}
+
+/**
+ * Semaphore of a `.concurrency()` route, with an optional bounded queue
+ */
+export class ConcurrencyLimiter {
+    private active = 0;
+    private readonly waiting: Waiter[] = [];
+    public readonly options: Required<RouteConcurrencyOptions>;
+
+    constructor(options: RouteConcurrencyOptions) {
+        if (!(options.limit >= 1)) {
+            throw new Error('concurrency limit must be at least 1');
+        }
+        this.options = { queue: 0, queueTimeout: 30000, ...options };
+    }
+
+    get running(): number {
+        return this.active;
+    }
+
+    get queued(): number {
+        return this.waiting.length;
+    }
+
+    /**
+     * Wait for a slot
+     * @returns a function releasing the slot, safe to call more than once
+     * @throws ResponseError(503) when the queue is full, the wait timed out, or `signal` aborted
+     */
+    public acquire(signal?: AbortSignal): Promise<() => void> {
+        if (this.active < this.options.limit) {
+            this.active++;
+            return Promise.resolve(this.releaser());
+        }
+        if (this.waiting.length >= this.options.queue) {
+            return Promise.reject(this.rejection('Too many concurrent requests, try again later'));
+        }
+        return new Promise((resolve, reject) => {
+            const leave = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                const index = this.waiting.indexOf(waiter);
+                if (index !== -1) this.waiting.splice(index, 1);
+            };
+            const waiter: Waiter = {
+                resolve: (release) => {
+                    leave();
+                    resolve(release);
+                },
+                reject: (error) => {
+                    leave();
+                    reject(error);
+                }
+            };
+            const timer = setTimeout(() => {
+                waiter.reject(this.rejection(`No free slot within ${this.options.queueTimeout} ms, try again later`));
+            }, this.options.queueTimeout);
+            const onAbort = () => waiter.reject(signal.reason instanceof ResponseError ? signal.reason : this.rejection('Request aborted while queued'));
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(waiter);
+        });
+    }
+
+    private releaser(): () => void {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const next = this.waiting[0];
+            if (next) {
+                // The slot passes to the next request without becoming free in between
+                next.resolve(this.releaser());
+            } else {
+                this.active--;
+            }
+        };
+    }
+
+    private rejection(message: string) {
+        return new ResponseServiceUnavailable<ConcurrencyLimitDetails>(message, {
+            limit: this.options.limit,
+            queue: this.options.queue
+        });
+    }
+}
+
+/**
+ * Note on route limits appended to the OpenAPI operation description
+ */
+export function describeRouteLimits(limits: { bodyLimit?: number; timeout?: RouteTimeoutOptions; concurrency?: RouteConcurrencyOptions }): string | undefined {
+    const notes: string[] = [];
+    if (limits.bodyLimit !== undefined) {
+        notes.push(`request bodies up to ${limits.bodyLimit} bytes (413 above)`);
+    }
+    if (limits.timeout) {
+        notes.push(`times out after ${limits.timeout.ms} ms (${limits.timeout.status ?? 503})`);
+    }
+    if (limits.concurrency) {
+        const { limit, queue = 0 } = limits.concurrency;
+        notes.push(`at most ${limit} concurrent request${limit === 1 ? '' : 's'}${queue ? `, ${queue} queued` : ''} (503 above)`);
+    }
+    return notes.length ? `Limits: ${notes.join(', ')}.` : undefined;
+}
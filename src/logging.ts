@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import type { IncomingMessage } from 'http';
+import { FastifyBaseLogger, FastifyReply, FastifyRequest, FastifyServerOptions } from 'fastify';
+import { getRequestContext } from './request-context.js';
+import { getActiveSpan, parseTraceparent } from './tracing.js';
+import { AppOptions } from './types.js';
+
+export type LoggingOptions = {
+    /**
+     * Log level of the Fastify (pino) logger
+     * @default 'info'
+     */
+    level?: string;
+    /**
+     * Request context fields added to every log line written during a request
+     * @default ['requestId', 'traceId', 'spanId', 'method', 'url', 'userId']
+     */
+    contextFields?: string[];
+    /**
+     * Incoming header used as request id when it is a safe token, `false` always generates one
+     * @default 'x-request-id'
+     */
+    requestIdHeader?: string | false;
+    /**
+     * Use the trace id of a W3C `traceparent` header when no request id header is present
+     * @default true
+     */
+    useTraceparent?: boolean;
+    /**
+     * Response header echoing the request id, `false` disables it
+     * @default 'x-request-id'
+     */
+    responseHeader?: string | false;
+}
+
+const defaultLogging: LoggingOptions = {
+    level: 'info',
+    contextFields: ['requestId', 'traceId', 'spanId', 'method', 'url', 'userId'],
+    requestIdHeader: 'x-request-id',
+    useTraceparent: true,
+    responseHeader: 'x-request-id'
+}
+
+export function setupLogging(loggingOptions?: AppOptions['loggingOptions']): LoggingOptions {
+    let options: LoggingOptions = defaultLogging;
+    if ('function' === typeof loggingOptions) {
+        options = loggingOptions(defaultLogging);
+    } else if ('object' === typeof loggingOptions) {
+        options = { ...defaultLogging, ...loggingOptions };
+    }
+    return options;
+}
+
+// Ids end up in logs and headers, so only plain tokens are accepted
+const SAFE_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function headerValue(req: IncomingMessage, name: string): string | undefined {
+    const value = req.headers[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Fastify `genReqId`: incoming request id header, then the traceparent trace id, then a random UUID
+ */
+export function createRequestIdGenerator(options: LoggingOptions) {
+    return (req: IncomingMessage): string => {
+        if (options.requestIdHeader) {
+            const incoming = headerValue(req, options.requestIdHeader)?.trim();
+            if (incoming && SAFE_REQUEST_ID.test(incoming)) {
+                return incoming;
+            }
+        }
+        if (options.useTraceparent) {
+            const traceId = parseTraceparent(headerValue(req, 'traceparent'))?.traceId;
+            if (traceId) {
+                return traceId;
+            }
+        }
+        return randomUUID();
+    };
+}
+
+/**
+ * Selected request context fields for the current async scope.
+ * `traceId` and `spanId` follow the active tracing span, so lines written inside `withSpan()` carry its id.
+ */
+export function getLogContext(fields: string[] = defaultLogging.contextFields): Record<string, unknown> {
+    let context = getRequestContext();
+    if (!context) return {};
+    const span = getActiveSpan();
+    if (span) {
+        context = { ...context, traceId: span.traceId, spanId: span.spanId };
+    }
+    const values: Record<string, unknown> = {};
+    for (const field of fields) {
+        const value = context[field];
+        if (value !== undefined && value !== null && typeof value !== 'object') {
+            values[field] = value;
+        }
+    }
+    return values;
+}
+
+/**
+ * Fastify `logger` option: pino with request context fields mixed into every line
+ */
+export function createLoggerOptions(options: LoggingOptions): FastifyServerOptions['logger'] {
+    return {
+        level: options.level,
+        mixin: () => getLogContext(options.contextFields)
+    };
+}
+
+/**
+ * onRequest hook echoing the request id to the client
+ */
+export function createRequestIdHeaderHook(header: string) {
+    return async (request: FastifyRequest, reply: FastifyReply) => {
+        reply.header(header, request.id);
+    };
+}
+
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace'] as const;
+const CONSOLE_METHODS: Record<typeof LEVELS[number], 'error' | 'warn' | 'log' | 'debug'> = {
+    fatal: 'error',
+    error: 'error',
+    warn: 'warn',
+    info: 'log',
+    debug: 'debug',
+    trace: 'debug'
+}
+
+/**
+ * Logger used while the Fastify logger is disabled: console output with the same context fields
+ */
+function createConsoleLogger(fields: string[], level: string, bindings: Record<string, unknown> = {}): FastifyBaseLogger {
+    const threshold = LEVELS.indexOf(level as typeof LEVELS[number]);
+    const logger: Record<string, unknown> = {
+        level,
+        silent: (): void => undefined,
+        child: (childBindings: Record<string, unknown>) => createConsoleLogger(fields, level, { ...bindings, ...childBindings })
+    };
+    LEVELS.forEach((name, index) => {
+        logger[name] = (first: unknown, ...rest: unknown[]) => {
+            if (threshold !== -1 && index > threshold) return;
+            const meta = { ...bindings, ...getLogContext(fields) };
+            const [object, message] = typeof first === 'object' && first !== null && !(first instanceof Error)
+                ? [{ ...meta, ...first }, rest]
+                : [meta, [first, ...rest]];
+            console[CONSOLE_METHODS[name]](...message, ...(Object.keys(object).length ? [object] : []));
+        };
+    });
+    return logger as unknown as FastifyBaseLogger;
+}
+
+let baseLogger: FastifyBaseLogger | null = null;
+let loggingSettings: LoggingOptions = defaultLogging;
+
+/**
+ * Called by createApp with the Fastify logger, or null when `logger` is disabled
+ */
+export function setLogger(logger: FastifyBaseLogger | null, options: LoggingOptions = defaultLogging): void {
+    baseLogger = logger;
+    loggingSettings = options;
+}
+
+/**
+ * Logger for services. Lines written during a request carry the request context fields.
+ * @example
+ * ```typescript
+ * const log = getLogger('billing');
+ * log.info({ invoiceId }, 'Invoice sent');
+ * ```
+ */
+export function getLogger(name?: string): FastifyBaseLogger {
+    const bindings = name ? { module: name } : undefined;
+    if (baseLogger) {
+        return bindings ? baseLogger.child(bindings) : baseLogger;
+    }
+    return createConsoleLogger(loggingSettings.contextFields, loggingSettings.level, bindings);
+}
@@ -1,4 +1,6 @@
 import { TSchema } from '@sinclair/typebox';
+import type { AuthStrategyName } from './auth.js';
+import type { AuthorizationRequirement } from './authorization.js';
 
 export type SchemaType = 'params' | 'query' | 'body' | 'headers' | 'response';
 
@@ -13,6 +15,10 @@ export interface MetaRouteEntry {
     route: string;
     method: string;
     meta: Array<MetaEntry>;
+    operationId?: string;
+    consumes?: string[];
+    auth?: AuthStrategyName[];
+    authorization?: AuthorizationRequirement[];
 }
 
 export class MetaRouteSchemaStorage {
@@ -0,0 +1,433 @@
+import { FastifyInstance, FastifyReply, FastifyRequest } from 'fastify';
+import { AppOptions } from './types.js';
+
+export type MetricsOptions = {
+    /**
+     * Route serving the Prometheus text format
+     * @default '/metrics'
+     */
+    path?: string;
+    /**
+     * Prefix of the built-in HTTP metric names
+     * @default 'http_'
+     */
+    prefix?: string;
+    /**
+     * Labels added to every series, e.g. { service: 'orders' }
+     */
+    defaultLabels?: MetricLabels;
+    /**
+     * Request duration buckets in seconds
+     * @default [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+     */
+    durationBuckets?: number[];
+    /**
+     * Upload size buckets in bytes
+     * @default 1KB, 10KB, 100KB, 1MB, 10MB, 100MB
+     */
+    uploadBuckets?: number[];
+}
+
+export type MetricLabels = Record<string, string | number>;
+
+export type MetricConfig = {
+    name: string;
+    help: string;
+    labelNames?: string[];
+}
+
+export type GaugeConfig = MetricConfig & {
+    /**
+     * Called before every scrape to refresh the value, e.g. `(gauge) => gauge.set(queue.size)`
+     */
+    collect?: (gauge: Gauge) => void | Promise<void>;
+}
+
+export type HistogramConfig = MetricConfig & {
+    /**
+     * Upper bounds, `+Inf` is added automatically
+     * @default the app `durationBuckets`
+     */
+    buckets?: number[];
+}
+
+const defaultMetrics: MetricsOptions = {
+    path: '/metrics',
+    prefix: 'http_',
+    durationBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    uploadBuckets: [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 10 * 1024 * 1024, 100 * 1024 * 1024]
+}
+
+export function setupMetrics(metricsOptions?: AppOptions['metricsOptions']): false | MetricsOptions {
+    let options: MetricsOptions = defaultMetrics;
+    if (!metricsOptions) return false;
+    if ('function' === typeof metricsOptions) {
+        options = metricsOptions(defaultMetrics);
+    } else if ('object' === typeof metricsOptions) {
+        options = { ...defaultMetrics, ...metricsOptions };
+    }
+    return options;
+}
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const escapeLabelValue = (value: string) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = (value: string) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatValue(value: number): string {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels: MetricLabels): string {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(String(value))}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Accept both `inc(2)` and `inc({ route }, 2)`
+ */
+function labelsAndValue(labelsOrValue: MetricLabels | number | undefined, value: number | undefined, fallback: number): [MetricLabels, number] {
+    if (typeof labelsOrValue === 'number') return [{}, labelsOrValue];
+    return [labelsOrValue || {}, value ?? fallback];
+}
+
+abstract class Metric<TSeries> {
+    public readonly name: string;
+    public readonly help: string;
+    public readonly labelNames: string[];
+    protected readonly series = new Map<string, { labels: MetricLabels; value: TSeries }>();
+    public abstract readonly type: 'counter' | 'gauge' | 'histogram';
+
+    constructor(config: MetricConfig) {
+        if (!METRIC_NAME.test(config.name)) {
+            throw new Error(`Invalid metric name "${config.name}"`);
+        }
+        for (const label of config.labelNames || []) {
+            if (!LABEL_NAME.test(label) || label.startsWith('__')) {
+                throw new Error(`Invalid label name "${label}" for metric "${config.name}"`);
+            }
+        }
+        this.name = config.name;
+        this.help = config.help;
+        this.labelNames = config.labelNames || [];
+    }
+
+    protected abstract initial(): TSeries;
+
+    /**
+     * Series for a label set, created on first use
+     */
+    protected get(labels: MetricLabels): { labels: MetricLabels; value: TSeries } {
+        const normalized: MetricLabels = {};
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Unknown label "${name}" for metric "${this.name}"`);
+            }
+        }
+        for (const name of this.labelNames) {
+            normalized[name] = labels[name] ?? '';
+        }
+        const key = this.labelNames.map(name => String(normalized[name])).join('\u0000');
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { labels: normalized, value: this.initial() };
+            this.series.set(key, entry);
+        }
+        return entry;
+    }
+
+    public reset(): void {
+        this.series.clear();
+    }
+
+    /**
+     * Sample lines of the text format, without HELP and TYPE
+     */
+    public abstract samples(defaultLabels: MetricLabels): string[];
+}
+
+export class Counter extends Metric<number> {
+    public readonly type = 'counter';
+
+    protected initial(): number {
+        return 0;
+    }
+
+    public inc(labelsOrValue?: MetricLabels | number, value?: number): void {
+        const [labels, amount] = labelsAndValue(labelsOrValue, value, 1);
+        if (amount < 0) {
+            throw new Error(`Counter "${this.name}" cannot be decreased`);
+        }
+        this.get(labels).value += amount;
+    }
+
+    public samples(defaultLabels: MetricLabels): string[] {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels({ ...defaultLabels, ...labels })} ${formatValue(value)}`);
+    }
+}
+
+export class Gauge extends Metric<number> {
+    public readonly type = 'gauge';
+
+    constructor(private readonly config: GaugeConfig) {
+        super(config);
+    }
+
+    protected initial(): number {
+        return 0;
+    }
+
+    public set(labelsOrValue: MetricLabels | number, value?: number): void {
+        const [labels, amount] = labelsAndValue(labelsOrValue, value, 0);
+        this.get(labels).value = amount;
+    }
+
+    public inc(labelsOrValue?: MetricLabels | number, value?: number): void {
+        const [labels, amount] = labelsAndValue(labelsOrValue, value, 1);
+        this.get(labels).value += amount;
+    }
+
+    public dec(labelsOrValue?: MetricLabels | number, value?: number): void {
+        const [labels, amount] = labelsAndValue(labelsOrValue, value, 1);
+        this.get(labels).value -= amount;
+    }
+
+    public async collect(): Promise<void> {
+        await this.config.collect?.(this);
+    }
+
+    public samples(defaultLabels: MetricLabels): string[] {
+        // A gauge without labels reports 0 before it was ever set
+        if (!this.series.size && !this.labelNames.length) {
+            this.get({});
+        }
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels({ ...defaultLabels, ...labels })} ${formatValue(value)}`);
+    }
+}
+
+type HistogramSeries = {
+    counts: number[];
+    sum: number;
+    count: number;
+}
+
+export class Histogram extends Metric<HistogramSeries> {
+    public readonly type = 'histogram';
+    public readonly buckets: number[];
+
+    constructor(config: HistogramConfig) {
+        super(config);
+        if (this.labelNames.includes('le')) {
+            throw new Error(`Histogram "${config.name}" cannot use the reserved label "le"`);
+        }
+        this.buckets = [...new Set(config.buckets || defaultMetrics.durationBuckets)]
+            .filter(bound => bound !== Infinity)
+            .sort((a, b) => a - b);
+    }
+
+    protected initial(): HistogramSeries {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    public observe(labelsOrValue: MetricLabels | number, value?: number): void {
+        const [labels, observed] = labelsAndValue(labelsOrValue, value, 0);
+        const series = this.get(labels).value;
+        const index = this.buckets.findIndex(bound => observed <= bound);
+        if (index !== -1) {
+            series.counts[index]++;
+        }
+        series.sum += observed;
+        series.count++;
+    }
+
+    /**
+     * Start a timer, the returned function observes the elapsed seconds
+     * @example
+     * ```typescript
+     * const end = histogram.startTimer({ job: 'sync' });
+     * await sync();
+     * end();
+     * ```
+     */
+    public startTimer(labels: MetricLabels = {}): (endLabels?: MetricLabels) => number {
+        const start = process.hrtime.bigint();
+        return (endLabels: MetricLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    public samples(defaultLabels: MetricLabels): string[] {
+        const lines: string[] = [];
+        for (const { labels, value } of this.series.values()) {
+            const seriesLabels = { ...defaultLabels, ...labels };
+            let cumulative = 0;
+            this.buckets.forEach((bound, index) => {
+                cumulative += value.counts[index];
+                lines.push(`${this.name}_bucket${formatLabels({ ...seriesLabels, le: formatValue(bound) })} ${cumulative}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...seriesLabels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(seriesLabels)} ${formatValue(value.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(seriesLabels)} ${value.count}`);
+        }
+        return lines;
+    }
+}
+
+type AnyMetric = Counter | Gauge | Histogram;
+
+/**
+ * Application metrics, available as `ctx.metrics` for plugins and services.
+ * Registering an existing name returns the existing metric when the type matches.
+ * @example
+ * ```typescript
+ * const ordersCreated = ctx.metrics.counter({ name: 'orders_created_total', help: 'Created orders', labelNames: ['channel'] });
+ * ordersCreated.inc({ channel: 'web' });
+ * ctx.metrics.gauge({ name: 'queue_depth', help: 'Pending jobs', collect: (gauge) => gauge.set(queue.size) });
+ * ```
+ */
+export class MetricsRegistry {
+    private readonly metrics = new Map<string, AnyMetric>();
+
+    constructor(public readonly options: MetricsOptions = defaultMetrics) { }
+
+    private register<M extends AnyMetric>(type: M['type'], name: string, create: () => M): M {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric "${name}" is already registered as a ${existing.type}`);
+            }
+            return existing as M;
+        }
+        const metric = create();
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    public counter(config: MetricConfig): Counter {
+        return this.register('counter', config.name, () => new Counter(config));
+    }
+
+    public gauge(config: GaugeConfig): Gauge {
+        return this.register('gauge', config.name, () => new Gauge(config));
+    }
+
+    public histogram(config: HistogramConfig): Histogram {
+        return this.register('histogram', config.name, () => new Histogram({
+            ...config,
+            buckets: config.buckets || this.options.durationBuckets
+        }));
+    }
+
+    public get(name: string): AnyMetric | undefined {
+        return this.metrics.get(name);
+    }
+
+    public remove(name: string): boolean {
+        return this.metrics.delete(name);
+    }
+
+    /**
+     * Prometheus text exposition format (0.0.4)
+     */
+    public async render(): Promise<string> {
+        const defaultLabels = this.options.defaultLabels || {};
+        const blocks: string[] = [];
+        for (const metric of this.metrics.values()) {
+            if (metric instanceof Gauge) {
+                try {
+                    await metric.collect();
+                } catch (error) {
+                    console.warn(`⚠️ Failed to collect metric "${metric.name}": ${error.message}`);
+                }
+            }
+            blocks.push([
+                `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.samples(defaultLabels)
+            ].join('\n'));
+        }
+        return blocks.length ? `${blocks.join('\n')}\n` : '';
+    }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Built-in HTTP metrics and the scrape route:
+ * - `{prefix}requests_total` and `{prefix}request_duration_seconds` by method, route pattern and status code
+ * - `{prefix}requests_in_flight`
+ * - `{prefix}upload_size_bytes` by method and route pattern, one observation per uploaded file
+ * - `{prefix}rate_limit_rejections_total` by method and route pattern (429 responses)
+ */
+export function registerMetrics(fastify: FastifyInstance, registry: MetricsRegistry, options: MetricsOptions): void {
+    const prefix = options.prefix ?? defaultMetrics.prefix;
+    const requests = registry.counter({
+        name: `${prefix}requests_total`,
+        help: 'Total number of HTTP requests',
+        labelNames: ['method', 'route', 'status_code']
+    });
+    const duration = registry.histogram({
+        name: `${prefix}request_duration_seconds`,
+        help: 'HTTP request duration in seconds',
+        labelNames: ['method', 'route', 'status_code'],
+        buckets: options.durationBuckets
+    });
+    const inFlight = registry.gauge({
+        name: `${prefix}requests_in_flight`,
+        help: 'HTTP requests currently being processed'
+    });
+    const uploads = registry.histogram({
+        name: `${prefix}upload_size_bytes`,
+        help: 'Size of uploaded files in bytes',
+        labelNames: ['method', 'route'],
+        buckets: options.uploadBuckets || defaultMetrics.uploadBuckets
+    });
+    const rateLimited = registry.counter({
+        name: `${prefix}rate_limit_rejections_total`,
+        help: 'Requests rejected by rate limiting',
+        labelNames: ['method', 'route']
+    });
+
+    // Requests leave the gauge once, whether they finish or are aborted
+    const active = new WeakSet<FastifyRequest>();
+    const finish = (req: FastifyRequest) => {
+        if (active.delete(req)) {
+            inFlight.dec();
+        }
+    };
+
+    fastify.addHook('onRequest', async (req) => {
+        active.add(req);
+        inFlight.inc();
+    });
+    fastify.addHook('onRequestAbort', async (req) => {
+        finish(req);
+    });
+    fastify.addHook('onResponse', async (req: FastifyRequest, reply: FastifyReply) => {
+        finish(req);
+        // Route patterns keep the label cardinality bounded, unmatched URLs share one label
+        const route = req.routeOptions?.url || 'unmatched';
+        const labels = { method: req.method, route, status_code: reply.statusCode };
+        requests.inc(labels);
+        duration.observe(labels, reply.elapsedTime / 1000);
+        if (reply.statusCode === 429) {
+            rateLimited.inc({ method: req.method, route });
+        }
+        if (Array.isArray(req.tempFiles)) {
+            for (const file of req.tempFiles) {
+                if (file?.filesize) {
+                    uploads.observe({ method: req.method, route }, file.filesize);
+                }
+            }
+        }
+    });
+
+    fastify.get(options.path || defaultMetrics.path, { schema: { hide: true } }, async (_req, reply) => {
+        return reply.type(PROMETHEUS_CONTENT_TYPE).send(await registry.render());
+    });
+}
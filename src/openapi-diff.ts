@@ -0,0 +1,282 @@
+import { FastifyInstance } from 'fastify';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { cristal } from 'gradient-string';
+
+export type OpenApiChangeType =
+    | 'operation-removed'
+    | 'status-code-removed'
+    | 'required-field-added'
+    | 'parameter-required'
+    | 'body-required'
+    | 'enum-narrowed'
+    | 'type-changed'
+    | 'response-field-removed'
+    | 'response-field-optional'
+    | 'response-enum-widened';
+
+export type OpenApiChange = {
+    type: OpenApiChangeType;
+    /**
+     * "METHOD /path"
+     */
+    operation: string;
+    /**
+     * Dot path of the affected field, when applicable
+     */
+    path?: string;
+    message: string;
+}
+
+export type OpenApiBaselineOptions = {
+    /**
+     * Previously exported OpenAPI document (JSON)
+     */
+    path: string;
+    /**
+     * Throw on breaking changes so startup (or a check script) fails
+     * @default false - changes are only logged
+     */
+    failOnBreaking?: boolean;
+}
+
+type OpenApiDocument = Record<string, any>;
+type SchemaObject = Record<string, any>;
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Compares request and response schemas of one operation, resolving $refs in both documents
+ */
+class SchemaComparer {
+    private readonly visited = new Set<string>();
+
+    constructor(
+        private readonly previousDoc: OpenApiDocument,
+        private readonly currentDoc: OpenApiDocument,
+        private readonly operation: string,
+        private readonly changes: OpenApiChange[]
+    ) { }
+
+    private resolve(doc: OpenApiDocument, schema: SchemaObject, seen = new Set<string>()): SchemaObject {
+        if (!schema || typeof schema !== 'object') return {};
+        if (typeof schema.$ref === 'string') {
+            const ref = schema.$ref;
+            if (seen.has(ref)) return {};
+            seen.add(ref);
+            const target = ref.startsWith('#/')
+                ? ref.slice(2).split('/').reduce((node: any, key: string) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], doc)
+                : doc.components?.schemas?.[ref.replace(/#$/, '')];
+            return this.resolve(doc, target, seen);
+        }
+        if (Array.isArray(schema.allOf)) {
+            // Merge allOf members so their properties are compared together
+            return schema.allOf.reduce((merged: SchemaObject, member: SchemaObject) => {
+                const resolved = this.resolve(doc, member, seen);
+                return {
+                    ...merged,
+                    ...resolved,
+                    properties: { ...merged.properties, ...resolved.properties },
+                    required: [...(merged.required || []), ...(resolved.required || [])]
+                };
+            }, {});
+        }
+        return schema;
+    }
+
+    private typeOf(schema: SchemaObject): string | undefined {
+        return Array.isArray(schema.type) ? [...schema.type].sort().join('|') : schema.type;
+    }
+
+    private add(type: OpenApiChangeType, fieldPath: string, message: string): void {
+        this.changes.push({ type, operation: this.operation, path: fieldPath || undefined, message });
+    }
+
+    private guard(kind: string, previous: SchemaObject, current: SchemaObject, fieldPath: string): boolean {
+        const key = `${kind}:${fieldPath}:${previous?.$ref || ''}:${current?.$ref || ''}`;
+        if (this.visited.has(key) || fieldPath.split('.').length > 32) return false;
+        this.visited.add(key);
+        return true;
+    }
+
+    /**
+     * Breaking for requests: new required fields, removed enum values, changed types
+     */
+    public compareRequest(previousSchema: SchemaObject, currentSchema: SchemaObject, fieldPath: string): void {
+        if (!this.guard('request', previousSchema, currentSchema, fieldPath)) return;
+        const previous = this.resolve(this.previousDoc, previousSchema);
+        const current = this.resolve(this.currentDoc, currentSchema);
+        const previousType = this.typeOf(previous);
+        const currentType = this.typeOf(current);
+        if (previousType && currentType && previousType !== currentType) {
+            this.add('type-changed', fieldPath, `Type of "${fieldPath}" changed from ${previousType} to ${currentType}`);
+            return;
+        }
+        if (Array.isArray(current.enum)) {
+            const removed = Array.isArray(previous.enum)
+                ? previous.enum.filter((value: unknown) => !current.enum.includes(value))
+                : [];
+            if (!Array.isArray(previous.enum) || removed.length) {
+                this.add('enum-narrowed', fieldPath, `Accepted values of "${fieldPath}" were narrowed${removed.length ? `, removed: ${removed.map((v: unknown) => JSON.stringify(v)).join(', ')}` : ''}`);
+            }
+        }
+        const previousRequired = new Set<string>(previous.required || []);
+        const previousProperties = previous.properties || {};
+        for (const [key, property] of Object.entries<SchemaObject>(current.properties || {})) {
+            const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+            const isRequired = (current.required || []).includes(key);
+            if (isRequired && (!previousProperties[key] || !previousRequired.has(key))) {
+                this.add('required-field-added', childPath, `Field "${childPath}" is now required`);
+                continue;
+            }
+            if (previousProperties[key]) {
+                this.compareRequest(previousProperties[key], property, childPath);
+            }
+        }
+        if (previous.items && current.items) {
+            this.compareRequest(previous.items, current.items, `${fieldPath}[]`);
+        }
+    }
+
+    /**
+     * Breaking for responses: removed fields, fields becoming optional, new enum values, changed types
+     */
+    public compareResponse(previousSchema: SchemaObject, currentSchema: SchemaObject, fieldPath: string): void {
+        if (!this.guard('response', previousSchema, currentSchema, fieldPath)) return;
+        const previous = this.resolve(this.previousDoc, previousSchema);
+        const current = this.resolve(this.currentDoc, currentSchema);
+        const previousType = this.typeOf(previous);
+        const currentType = this.typeOf(current);
+        if (previousType && currentType && previousType !== currentType) {
+            this.add('type-changed', fieldPath, `Type of response field "${fieldPath}" changed from ${previousType} to ${currentType}`);
+            return;
+        }
+        if (Array.isArray(previous.enum) && Array.isArray(current.enum)) {
+            const added = current.enum.filter((value: unknown) => !previous.enum.includes(value));
+            if (added.length) {
+                this.add('response-enum-widened', fieldPath, `Response field "${fieldPath}" can return new values: ${added.map((v: unknown) => JSON.stringify(v)).join(', ')}`);
+            }
+        }
+        const currentRequired = new Set<string>(current.required || []);
+        const currentProperties = current.properties || {};
+        for (const [key, property] of Object.entries<SchemaObject>(previous.properties || {})) {
+            const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+            if (!currentProperties[key]) {
+                this.add('response-field-removed', childPath, `Response field "${childPath}" was removed`);
+                continue;
+            }
+            if ((previous.required || []).includes(key) && !currentRequired.has(key)) {
+                this.add('response-field-optional', childPath, `Response field "${childPath}" is no longer always present`);
+            }
+            this.compareResponse(property, currentProperties[key], childPath);
+        }
+        if (previous.items && current.items) {
+            this.compareResponse(previous.items, current.items, `${fieldPath}[]`);
+        }
+    }
+}
+
+function firstContentSchema(content: Record<string, { schema?: SchemaObject }> | undefined): SchemaObject | undefined {
+    if (!content) return undefined;
+    return content['application/json']?.schema ?? Object.values(content)[0]?.schema;
+}
+
+/**
+ * List breaking changes between a previously exported OpenAPI 3 document and the current one
+ */
+export function detectBreakingChanges(previous: OpenApiDocument, current: OpenApiDocument): OpenApiChange[] {
+    const changes: OpenApiChange[] = [];
+    for (const [route, previousItem] of Object.entries<Record<string, any>>(previous.paths || {})) {
+        for (const method of HTTP_METHODS) {
+            const previousOp = previousItem?.[method];
+            if (!previousOp) continue;
+            const operation = `${method.toUpperCase()} ${route}`;
+            const currentOp = current.paths?.[route]?.[method];
+            if (!currentOp) {
+                changes.push({ type: 'operation-removed', operation, message: `Operation ${operation} was removed` });
+                continue;
+            }
+            const comparer = new SchemaComparer(previous, current, operation, changes);
+
+            // Parameters (path, query, header)
+            const parameterKey = (p: Record<string, any>) => `${p.in}:${p.name}`;
+            const previousParams = new Map<string, Record<string, any>>(
+                [...(previousItem.parameters || []), ...(previousOp.parameters || [])].map((p: Record<string, any>) => [parameterKey(p), p])
+            );
+            const currentParams = [...(current.paths[route].parameters || []), ...(currentOp.parameters || [])];
+            for (const param of currentParams) {
+                const before = previousParams.get(parameterKey(param));
+                const fieldPath = `${param.in}.${param.name}`;
+                if (param.required && (!before || !before.required)) {
+                    changes.push({ type: 'parameter-required', operation, path: fieldPath, message: `${param.in} parameter "${param.name}" is now required` });
+                    continue;
+                }
+                if (before?.schema && param.schema) {
+                    comparer.compareRequest(before.schema, param.schema, fieldPath);
+                }
+            }
+
+            // Request body
+            const previousBody = previousOp.requestBody;
+            const currentBody = currentOp.requestBody;
+            if (currentBody?.required && !previousBody?.required) {
+                changes.push({ type: 'body-required', operation, message: `Request body of ${operation} is now required` });
+            }
+            const previousBodySchema = firstContentSchema(previousBody?.content);
+            const currentBodySchema = firstContentSchema(currentBody?.content);
+            if (currentBodySchema) {
+                comparer.compareRequest(previousBodySchema || {}, currentBodySchema, 'body');
+            }
+
+            // Responses
+            const previousResponses = previousOp.responses || {};
+            const currentResponses = currentOp.responses || {};
+            for (const [code, response] of Object.entries<Record<string, any>>(previousResponses)) {
+                if (!currentResponses[code]) {
+                    if (code.startsWith('2')) {
+                        changes.push({ type: 'status-code-removed', operation, message: `Status code ${code} of ${operation} was removed` });
+                    }
+                    continue;
+                }
+                const previousSchema = firstContentSchema(response.content);
+                const currentSchema = firstContentSchema(currentResponses[code].content);
+                if (previousSchema && currentSchema) {
+                    comparer.compareResponse(previousSchema, currentSchema, `response.${code}`);
+                }
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compare the app's current document with a baseline file; logs every breaking change
+ * and throws when `failOnBreaking` is set. A missing or unreadable baseline only warns
+ * unless `failOnBreaking` is set.
+ */
+export async function checkOpenApiBaseline(fastify: FastifyInstance, options: OpenApiBaselineOptions): Promise<OpenApiChange[]> {
+    const baselinePath = path.resolve(options.path);
+    let previous: OpenApiDocument;
+    try {
+        previous = JSON.parse(await readFile(baselinePath, 'utf-8'));
+    } catch (error) {
+        const message = `Cannot read OpenAPI baseline ${baselinePath} (JSON expected): ${error.message}`;
+        if (options.failOnBreaking) {
+            throw new Error(message);
+        }
+        console.warn(cristal(`⚠️ ${message}, skipping the breaking change check`));
+        return [];
+    }
+    await fastify.ready();
+    const changes = detectBreakingChanges(previous, fastify.swagger() as OpenApiDocument);
+    if (changes.length) {
+        console.warn(cristal(`⚠️ ${changes.length} breaking API change(s) compared to ${baselinePath}:`));
+        for (const change of changes) {
+            console.warn(`  - [${change.type}] ${change.message}`);
+        }
+        if (options.failOnBreaking) {
+            throw new Error(`OpenAPI baseline check failed with ${changes.length} breaking change(s)`);
+        }
+    }
+    return changes;
+}
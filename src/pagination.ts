@@ -0,0 +1,245 @@
+import {
+    TArray,
+    TInteger,
+    TLiteral,
+    TNull,
+    TObject,
+    TOptional,
+    TProperties,
+    TSchema,
+    TString,
+    TUnion,
+    Type
+} from '@sinclair/typebox';
+import { addSchema } from './schema-registry.js';
+
+export type PaginationMode = 'cursor' | 'offset';
+export type SortOrder = 'asc' | 'desc';
+
+export type PaginationOptions<M extends PaginationMode = PaginationMode> = {
+    /**
+     * @default 'cursor'
+     */
+    mode?: M;
+    /**
+     * @default 20
+     */
+    defaultLimit?: number;
+    /**
+     * Upper bound of `limit`, enforced by query validation
+     * @default 100
+     */
+    maxLimit?: number;
+    /**
+     * Fields accepted by `orderBy`
+     * @default scalar top-level properties of the item schema
+     */
+    orderBy?: string[];
+}
+
+export type CursorPaginationParams = {
+    mode: 'cursor';
+    limit: number;
+    cursor?: string;
+    orderBy?: string;
+    order: SortOrder;
+}
+
+export type OffsetPaginationParams = {
+    mode: 'offset';
+    limit: number;
+    offset: number;
+    orderBy?: string;
+    order: SortOrder;
+}
+
+/**
+ * Normalized pagination of the current request, available as `req.pagination`
+ */
+export type PaginationParams = CursorPaginationParams | OffsetPaginationParams;
+
+type TSortOrder = TUnion<[TLiteral<'asc'>, TLiteral<'desc'>]>;
+
+export type TCursorPaginationQuery = TObject<{
+    limit: TOptional<TInteger>;
+    cursor: TOptional<TString>;
+    orderBy: TOptional<TString>;
+    order: TOptional<TSortOrder>;
+}>;
+
+export type TOffsetPaginationQuery = TObject<{
+    limit: TOptional<TInteger>;
+    offset: TOptional<TInteger>;
+    orderBy: TOptional<TString>;
+    order: TOptional<TSortOrder>;
+}>;
+
+export type TPaginationQuery<M extends PaginationMode> = M extends 'offset' ? TOffsetPaginationQuery : TCursorPaginationQuery;
+
+export type TCursorPage<T extends TSchema> = TObject<{
+    items: TArray<T>;
+    nextCursor: TUnion<[TString, TNull]>;
+    total: TOptional<TInteger>;
+}>;
+
+export type TOffsetPage<T extends TSchema> = TObject<{
+    items: TArray<T>;
+    total: TInteger;
+    limit: TInteger;
+    offset: TInteger;
+}>;
+
+export type TPage<T extends TSchema, M extends PaginationMode> = M extends 'offset' ? TOffsetPage<T> : TCursorPage<T>;
+
+export type ResolvedPaginationOptions = Required<Omit<PaginationOptions, 'orderBy'>> & { orderBy: string[] };
+
+const defaultPagination: Required<Omit<PaginationOptions, 'orderBy'>> = {
+    mode: 'cursor',
+    defaultLimit: 20,
+    maxLimit: 100
+}
+
+const SORTABLE_TYPES = ['string', 'number', 'integer', 'boolean', 'Date'];
+
+/**
+ * Top-level properties of an object schema whose values can be ordered
+ */
+export function getSortableFields(schema: TSchema): string[] {
+    const properties = (schema as { properties?: Record<string, TSchema> }).properties || {};
+    return Object.entries(properties)
+        .filter(([, property]) => SORTABLE_TYPES.includes(property.type))
+        .map(([name]) => name);
+}
+
+export function setupPagination(itemSchema: TSchema, options: PaginationOptions = {}): ResolvedPaginationOptions {
+    const resolved = { ...defaultPagination, ...options };
+    return {
+        ...resolved,
+        defaultLimit: Math.min(resolved.defaultLimit, resolved.maxLimit),
+        orderBy: options.orderBy ?? getSortableFields(itemSchema)
+    };
+}
+
+/**
+ * Query properties merged into the route query schema
+ */
+export function paginationQueryProperties(options: ResolvedPaginationOptions): TProperties {
+    const properties: TProperties = {
+        limit: Type.Optional(Type.Integer({
+            minimum: 1,
+            maximum: options.maxLimit,
+            default: options.defaultLimit,
+            description: `Page size, at most ${options.maxLimit}`
+        }))
+    };
+    if (options.mode === 'offset') {
+        properties.offset = Type.Optional(Type.Integer({ minimum: 0, default: 0, description: 'Number of items to skip' }));
+    } else {
+        properties.cursor = Type.Optional(Type.String({ description: 'Opaque cursor from `nextCursor` of the previous page' }));
+    }
+    if (options.orderBy.length) {
+        properties.orderBy = Type.Optional(Type.Union(options.orderBy.map(field => Type.Literal(field)), { description: 'Field to order by' }));
+        properties.order = Type.Optional(Type.Union([Type.Literal('asc'), Type.Literal('desc')], { default: 'asc' }));
+    }
+    return properties;
+}
+
+/**
+ * Page envelope for an item schema, registered with a deterministic $id:
+ * `{ItemId}CursorPage` or `{ItemId}OffsetPage`
+ */
+export function createPageSchema<T extends TSchema, M extends PaginationMode>(
+    itemSchema: T & { $id: string },
+    mode: M
+): TPage<T, M> & { $id: string } {
+    const items = Type.Array(Type.Ref(itemSchema.$id));
+    const schema = mode === 'offset'
+        ? Type.Object({
+            items,
+            total: Type.Integer({ minimum: 0 }),
+            limit: Type.Integer({ minimum: 1 }),
+            offset: Type.Integer({ minimum: 0 })
+        }, { $id: `${itemSchema.$id}OffsetPage` })
+        : Type.Object({
+            items,
+            nextCursor: Type.Union([Type.String(), Type.Null()], { description: 'Cursor of the next page, null on the last page' }),
+            total: Type.Optional(Type.Integer({ minimum: 0 }))
+        }, { $id: `${itemSchema.$id}CursorPage` });
+    return addSchema(schema) as unknown as TPage<T, M> & { $id: string };
+}
+
+/**
+ * Read validated query values into PaginationParams
+ */
+export function resolvePagination(query: Record<string, unknown> | undefined, options: ResolvedPaginationOptions): PaginationParams {
+    const limit = Math.min(Number(query?.limit) || options.defaultLimit, options.maxLimit);
+    const orderBy = typeof query?.orderBy === 'string' ? query.orderBy : undefined;
+    const order: SortOrder = query?.order === 'desc' ? 'desc' : 'asc';
+    if (options.mode === 'offset') {
+        return { mode: 'offset', limit, offset: Math.max(Number(query?.offset) || 0, 0), orderBy, order };
+    }
+    return {
+        mode: 'cursor',
+        limit,
+        cursor: typeof query?.cursor === 'string' && query.cursor ? query.cursor : undefined,
+        orderBy,
+        order
+    };
+}
+
+function withQuery(url: string, values: Record<string, string | number | undefined>): string {
+    const target = new URL(url, 'http://localhost');
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) {
+            target.searchParams.delete(key);
+        } else {
+            target.searchParams.set(key, String(value));
+        }
+    }
+    return `${target.pathname}${target.search}`;
+}
+
+/**
+ * RFC 8288 `Link` header value (first/prev/next/last) for a page returned by the handler
+ */
+export function buildPaginationLinks(url: string, params: PaginationParams, page: Record<string, unknown>): string | undefined {
+    const links: Array<[string, string]> = [];
+    const total = typeof page.total === 'number' ? page.total : undefined;
+    const count = Array.isArray(page.items) ? page.items.length : 0;
+    if (params.mode === 'cursor') {
+        links.push(['first', withQuery(url, { cursor: undefined })]);
+        if (typeof page.nextCursor === 'string' && page.nextCursor) {
+            links.push(['next', withQuery(url, { cursor: page.nextCursor })]);
+        }
+    } else {
+        const { limit, offset } = params;
+        links.push(['first', withQuery(url, { offset: 0 })]);
+        if (offset > 0) {
+            links.push(['prev', withQuery(url, { offset: Math.max(offset - limit, 0) })]);
+        }
+        const hasNext = total !== undefined ? offset + count < total : count === limit;
+        if (hasNext) {
+            links.push(['next', withQuery(url, { offset: offset + limit })]);
+        }
+        if (total !== undefined) {
+            links.push(['last', withQuery(url, { offset: Math.max(Math.ceil(total / limit) - 1, 0) * limit })]);
+        }
+    }
+    return links.length ? links.map(([rel, href]) => `<${href}>; rel="${rel}"`).join(', ') : undefined;
+}
+
+/**
+ * Opaque cursor helpers, e.g. `encodeCursor({ id: last.id })`
+ */
+export function encodeCursor(value: unknown): string {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export function decodeCursor<T = Record<string, unknown>>(cursor: string | undefined): T | undefined {
+    if (!cursor) return undefined;
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8')) as T;
+    } catch {
+        return undefined;
+    }
+}
@@ -1,31 +1,96 @@
-import rateLimit, { RateLimitOptions, RateLimitPluginOptions, errorResponseBuilderContext } from '@fastify/rate-limit';
-import { FastifyRequest } from 'fastify';
+import { RateLimitOptions, RateLimitPluginOptions, errorResponseBuilderContext } from '@fastify/rate-limit';
+import { createHash } from 'crypto';
+import { FastifyInstance, FastifyRequest } from 'fastify';
+import { ResponseForbidden, ResponseTooManyRequests } from './response.js';
 import { AppOptions } from "./types.js";
 
-const defaultRateLimit: RateLimitPluginOptions = {
+export type RateLimitTier = {
+    max: number;
+    /**
+     * Window in milliseconds or as text ('1 minute', '15 seconds')
+     * @default the `timeWindow` of the options the tier belongs to
+     */
+    timeWindow?: number | string;
+}
+
+export type RateLimitTierOptions = {
+    /**
+     * Named quotas selected per request by `tier`, e.g. { free: { max: 60 }, pro: { max: 1000 } }.
+     * Requests without a known tier get `max` and `timeWindow`.
+     */
+    tiers?: Record<string, RateLimitTier>;
+    /**
+     * Tier name of a request, resolved once per request
+     * @default `req.user.tier`
+     */
+    tier?: (req: FastifyRequest) => string | undefined | Promise<string | undefined>;
+}
+
+export type AppRateLimitOptions = RateLimitPluginOptions & RateLimitTierOptions;
+export type RouteRateLimitOptions = RateLimitOptions & RateLimitTierOptions;
+
+/**
+ * Details of 429 responses
+ */
+export type RateLimitExceededDetails = {
+    limit: number;
+    /**
+     * Seconds until the window resets
+     */
+    retryAfter: number;
+    tier?: string;
+}
+
+const requestTiers = new WeakMap<FastifyRequest, string>();
+
+/**
+ * Rate-limit key of a request: the authenticated principal, a hash of the API key it authenticated with,
+ * otherwise the client IP. Runs after `.auth()` on RouteBuilder routes, so credentials are verified.
+ */
+export function rateLimitKey(req: FastifyRequest): string {
+    const user = req.user;
+    const id = user?.id ?? user?.sub;
+    if (typeof id === 'string' || typeof id === 'number') {
+        return `user:${id}`;
+    }
+    const apiKey = req.headers['x-api-key'];
+    if (user && typeof apiKey === 'string') {
+        return `apiKey:${createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+const defaultRateLimit: AppRateLimitOptions = {
     global: false, // Allows per-route rate limit configuration
     max: 100,
     timeWindow: '1 minute',
-    errorResponseBuilder: (request: FastifyRequest, context: errorResponseBuilderContext) => ({
-        statusCode: 429,
-        error: 'Too Many Requests',
-        message: `Rate limit exceeded, retry in ${context.after}`,
-        expiresIn: context.after
-    }),
-    keyGenerator: (request: FastifyRequest) => {
-        return request.ip;
+    // Runs after authentication on plain Fastify routes too, RouteBuilder routes place the limiter themselves
+    hook: 'preHandler',
+    // RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and Retry-After
+    enableDraftSpec: true,
+    errorResponseBuilder: (request: FastifyRequest, context: errorResponseBuilderContext) => {
+        if (context.ban) {
+            return new ResponseForbidden(`Too many requests, access blocked for ${context.after}`);
+        }
+        const tier = requestTiers.get(request);
+        return new ResponseTooManyRequests<RateLimitExceededDetails>(`Rate limit exceeded, retry in ${context.after}`, {
+            limit: context.max,
+            retryAfter: Math.ceil(context.ttl / 1000),
+            ...(tier ? { tier } : {})
+        });
     },
+    keyGenerator: rateLimitKey,
     skipOnError: true,
     onBanReach: (req: FastifyRequest, key: string) => {
         console.warn(`Rate limit ban reached for key: ${key}, IP: ${req.ip}`);
     },
-    onExceeding: (req: FastifyRequest, key: string) => {
+    onExceeded: (req: FastifyRequest, key: string) => {
         console.warn(`Rate limit exceeded for key: ${key}, IP: ${req.ip}`);
     }
 }
 
-export function setupRateLimit(rateLimitOptions?: AppOptions['rateLimitOptions']): false | RateLimitPluginOptions {
-    let options: RateLimitPluginOptions = defaultRateLimit;
+export function setupRateLimit(rateLimitOptions?: AppOptions['rateLimitOptions']): false | AppRateLimitOptions {
+    let options: AppRateLimitOptions = defaultRateLimit;
     if (rateLimitOptions === false) return false;
     if ('function' === typeof rateLimitOptions) {
         options = rateLimitOptions(defaultRateLimit);
@@ -34,3 +99,95 @@ export function setupRateLimit(rateLimitOptions?: AppOptions['rateLimitOptions']
     }
     return options;
 }
+
+const DURATION_UNITS: Record<string, number> = {
+    ms: 1,
+    millisecond: 1,
+    s: 1000,
+    sec: 1000,
+    second: 1000,
+    m: 60000,
+    min: 60000,
+    minute: 60000,
+    h: 3600000,
+    hour: 3600000,
+    d: 86400000,
+    day: 86400000
+}
+
+/**
+ * Milliseconds of a window given as a number or text like '1 minute', '30s', '2 hours'
+ */
+export function parseTimeWindow(value: number | string): number {
+    if (typeof value === 'number') return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*?)s?\s*$/i.exec(value);
+    const unit = match ? DURATION_UNITS[(match[2] || 'ms').toLowerCase()] : undefined;
+    if (!unit) {
+        throw new Error(`Invalid rate limit time window "${value}"`);
+    }
+    return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Replace `tiers`/`tier` with `max` and `timeWindow` functions understood by @fastify/rate-limit
+ */
+export function resolveRateLimitTiers<T extends RateLimitOptions>(options: T & RateLimitTierOptions): T {
+    const { tiers, tier, ...rest } = options;
+    if (!tiers || !Object.keys(tiers).length) return rest as T;
+    const resolveTier = tier || ((req: FastifyRequest) => typeof req.user?.tier === 'string' ? req.user.tier : undefined);
+    const resolved = new WeakMap<FastifyRequest, Promise<RateLimitTier | undefined>>();
+    const lookup = (req: FastifyRequest) => {
+        let pending = resolved.get(req);
+        if (!pending) {
+            pending = Promise.resolve(resolveTier(req)).then(name => {
+                if (!name || !tiers[name]) return undefined;
+                requestTiers.set(req, name);
+                return tiers[name];
+            });
+            resolved.set(req, pending);
+        }
+        return pending;
+    };
+    const { max, timeWindow } = rest;
+    const result: RateLimitOptions = {
+        ...rest,
+        max: async (req, key) => (await lookup(req))?.max
+            ?? (typeof max === 'function' ? await max(req, key) : max ?? defaultRateLimit.max as number)
+    };
+    if (Object.values(tiers).some(entry => entry.timeWindow !== undefined)) {
+        result.timeWindow = async (req, key) => {
+            const window = (await lookup(req))?.timeWindow
+                ?? (typeof timeWindow === 'function' ? await timeWindow(req, key) : timeWindow ?? defaultRateLimit.timeWindow as string);
+            return parseTimeWindow(window);
+        };
+    }
+    return result as T;
+}
+
+/**
+ * Limiter of a RouteBuilder route, run right after authentication so limits can be keyed by principal.
+ * Routes without `.rateLimit()` use the shared app bucket when `global` is enabled.
+ * @returns null when the route is not rate limited
+ */
+export function createRouteRateLimit(
+    fastify: FastifyInstance,
+    appOptions: AppRateLimitOptions | false | undefined,
+    routeOptions: RouteRateLimitOptions | false | undefined
+) {
+    if (!appOptions || routeOptions === false || !fastify.hasDecorator('rateLimit')) return null;
+    if (!routeOptions) {
+        return appOptions.global ? fastify.rateLimit() : null;
+    }
+    const merged: RouteRateLimitOptions = { ...appOptions, ...routeOptions };
+    // A route with its own max opts out of the app tiers unless it declares tiers as well
+    if (routeOptions.max !== undefined && !routeOptions.tiers) {
+        delete merged.tiers;
+    }
+    const { groupId, ...options } = resolveRateLimitTiers(merged);
+    // fastify.rateLimit() limiters share their store namespace, so keys carry the route (or group)
+    const keyGenerator = options.keyGenerator || rateLimitKey;
+    return fastify.rateLimit({
+        ...options,
+        keyGenerator: async (req) => `${groupId || `${req.routeOptions.method} ${req.routeOptions.url}`}|${await keyGenerator(req)}`
+    });
+}
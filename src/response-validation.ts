@@ -0,0 +1,115 @@
+import { TSchema } from '@sinclair/typebox';
+import { Value } from '@sinclair/typebox/value';
+import { ValueErrorType } from '@sinclair/typebox/errors';
+import { ResponseError } from './response.js';
+import { getSchemaRegistry, SchemaRegistry } from './schema-registry.js';
+
+/**
+ * Outgoing payload handling for declared response schemas
+ * - 'off': payloads are sent as returned by the handler
+ * - 'strip': properties not declared in the schema for the status code are removed
+ * - 'strict': like 'strip', and in development a payload violating the schema fails with a 500 listing every mismatch
+ */
+export type ResponseValidationMode = 'strip' | 'strict' | 'off';
+
+export type ResponseValidationIssue = {
+    path: string;
+    message: string;
+    value?: unknown;
+}
+
+let referenceCache: { registry: SchemaRegistry; count: number; references: TSchema[] } | null = null;
+
+/**
+ * All schemas registered with $id, used to resolve Type.Ref inside response schemas.
+ * Cached until the registry changes, which in practice stops once the app is ready.
+ */
+function getReferences(): TSchema[] {
+    let registry: SchemaRegistry;
+    try {
+        registry = getSchemaRegistry();
+    } catch {
+        return [];
+    }
+    const count = registry.getRegisteredCount();
+    if (referenceCache?.registry !== registry || referenceCache.count !== count) {
+        referenceCache = {
+            registry,
+            count,
+            references: registry.getRegisteredIds()
+                .map(id => registry.getSchema(id))
+                .filter(Boolean)
+        };
+    }
+    return referenceCache.references;
+}
+
+/**
+ * Copy arrays and plain objects so Clean does not touch the handler's data.
+ * Dates, Buffers and BigInts are kept for the serializer, other objects with toJSON() are replaced by its result.
+ */
+function cloneResponseData(value: unknown): unknown {
+    if (Array.isArray(value)) {
+        return value.map(cloneResponseData);
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date || ArrayBuffer.isView(value)) {
+        return value;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null && typeof (value as { toJSON?: unknown }).toJSON === 'function') {
+        return cloneResponseData((value as { toJSON(): unknown }).toJSON());
+    }
+    const copy: Record<string, unknown> = {};
+    for (const [key, entry] of Object.entries(value)) {
+        copy[key] = cloneResponseData(entry);
+    }
+    return copy;
+}
+
+/**
+ * Whether the serializer turns the value into one matching the schema (Dates into ISO strings, BigInts into integers)
+ */
+function isSerializedMatch(schema: TSchema, value: unknown): boolean {
+    if (value instanceof Date) {
+        return schema.type === 'string' && !Number.isNaN(value.getTime());
+    }
+    if (typeof value === 'bigint') {
+        return schema.type === 'integer' || schema.type === 'number';
+    }
+    return false;
+}
+
+/**
+ * Apply the validation mode to response data.
+ * Data is copied before cleaning; values the serializer converts (Dates, BigInts) are checked as serialized.
+ * @throws ResponseError(500) in 'strict' mode outside production when data violates the schema
+ */
+export function applyResponseValidation(
+    mode: ResponseValidationMode,
+    schema: TSchema,
+    data: unknown,
+    environment: string = process.env.NODE_ENV
+): unknown {
+    if (mode === 'off' || data === undefined || data === null) {
+        return data;
+    }
+    const references = getReferences();
+    const cleaned = Value.Clean(schema, references, cloneResponseData(data));
+    if (mode === 'strict') {
+        const issues: ResponseValidationIssue[] = [];
+        for (const error of Value.Errors(schema, references, cleaned)) {
+            // TypeBox has no built-in formats, format checks are left to the serializer
+            if (error.type === ValueErrorType.StringFormatUnknown) continue;
+            if (isSerializedMatch(error.schema, error.value)) continue;
+            issues.push({ path: error.path || '/', message: error.message, value: error.value });
+        }
+        if (issues.length) {
+            if (environment === 'production') {
+                console.warn(`⚠️ Response does not match its schema:`, issues);
+            } else {
+                throw new ResponseError(500, 'Response validation failed', issues);
+            }
+        }
+    }
+    return cleaned;
+}
@@ -1,4 +1,33 @@
 import { Static, TSchema, Type } from "@sinclair/typebox";
+import { STATUS_CODES } from "http";
+
+/**
+ * Error envelope used for ResponseError payloads
+ * - 'tsdiapi': { status, data: { error, details } }
+ * - 'problem+json': RFC 7807 { type, title, status, detail, instance, details } as application/problem+json
+ */
+export type ErrorFormat = 'tsdiapi' | 'problem+json';
+
+export const PROBLEM_JSON_CONTENT_TYPE = 'application/problem+json';
+
+let errorFormat: ErrorFormat = 'tsdiapi';
+
+export function setErrorFormat(format: ErrorFormat = 'tsdiapi'): void {
+    errorFormat = format;
+}
+
+export function getErrorFormat(): ErrorFormat {
+    return errorFormat;
+}
+
+export type ProblemDetails<P = unknown> = {
+    type: string;
+    title: string;
+    status: number;
+    detail: string;
+    instance?: string;
+    details?: P;
+}
 
 export class ResponseError<T extends number, P> {
     status: T;
@@ -21,6 +50,24 @@ export class ResponseError<T extends number, P> {
         };
     }
 
+    toProblem(instance?: string): ProblemDetails<P> {
+        return {
+            type: 'about:blank',
+            title: STATUS_CODES[this.status] || 'Error',
+            status: this.status,
+            detail: this.data.error,
+            ...(instance ? { instance } : {}),
+            ...(this.data.details !== undefined ? { details: this.data.details } : {})
+        };
+    }
+
+    /**
+     * Payload in the configured error format
+     */
+    toPayload(instance?: string) {
+        return errorFormat === 'problem+json' ? this.toProblem(instance) : this.toJSON();
+    }
+
     throw() {
         throw this;
     }
@@ -96,6 +143,28 @@ export const ResponseErrorSchema = Type.Object({
     }))
 }, { $id: 'ResponseErrorSchema' });
 
+// RFC 7807 problem details, used instead of ResponseErrorSchema when errorFormat is 'problem+json'
+export const ResponseProblemSchema = Type.Object({
+    type: Type.String(),
+    title: Type.String(),
+    status: Type.Integer(),
+    detail: Type.String(),
+    instance: Type.Optional(Type.String()),
+    // No default: the extension member is left out when there are no details
+    details: Type.Optional(Type.Any())
+}, { $id: 'ResponseProblemSchema' });
+
+export const isErrorEnvelopeSchema = (schema: TSchema): boolean => {
+    return schema?.$id === 'ResponseErrorSchema' || schema?.$id === 'ResponseProblemSchema';
+}
+
+/**
+ * Default error schema for the configured error format
+ */
+export const getResponseErrorSchema = () => {
+    return errorFormat === 'problem+json' ? ResponseProblemSchema : ResponseErrorSchema;
+}
+
 // Simple success/failure response schemas
 export const ResponseSuccessSchema = Type.Object({
     success: Type.Literal(true)
@@ -142,7 +211,7 @@ export const buildResponseCodes = <S extends TSchema, E extends TSchema = typeof
     successSchema: S,
     errorSchema?: E
 ) => {
-    const defaultErrorSchema = errorSchema ?? ResponseErrorSchema;
+    const defaultErrorSchema = errorSchema ?? getResponseErrorSchema() as unknown as E;
 
     return {
         200: successSchema,
@@ -162,7 +231,7 @@ export const buildExtraResponseCodes = <S extends TSchema, E extends TSchema>(
     successSchema: S,
     errorSchema?: E
 ) => {
-    const defaultErrorSchema = errorSchema ?? ResponseErrorSchema;
+    const defaultErrorSchema = errorSchema ?? getResponseErrorSchema() as unknown as E;
 
     return {
         200: successSchema,
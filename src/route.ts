@@ -1,11 +1,37 @@
 import { FastifyError, FastifyInstance, FastifyReply, FastifyRequest, RouteOptions } from 'fastify';
-import { Static, TDate, TSchema, Type, } from '@sinclair/typebox';
-import { RateLimitOptions } from '@fastify/rate-limit';
+import { STATUS_CODES } from 'http';
+import { Static, TDate, TIntersect, TProperties, TSchema, Type, } from '@sinclair/typebox';
 import { AppContext, UploadFile } from './types.js';
 import { fileTypeFromBuffer } from 'file-type';
 import { MetaSchemaStorage, MetaRouteEntry, metaRouteSchemaStorage } from './meta.js';
-import { ResponseError } from './response.js';
-import { getSchemaRegistry } from './schema-registry.js';
+import { getErrorFormat, PROBLEM_JSON_CONTENT_TYPE, ResponseError, ResponseProblemSchema } from './response.js';
+import { ErrorMapper, sendResponseError } from './errors.js';
+import { MIME_SNIFF_BYTES } from './uploads.js';
+import { applyResponseValidation, ResponseValidationMode } from './response-validation.js';
+import { addSchema, getSchemaRegistry } from './schema-registry.js';
+import {
+    buildPaginationLinks,
+    createPageSchema,
+    PaginationMode,
+    PaginationOptions,
+    PaginationParams,
+    paginationQueryProperties,
+    resolvePagination,
+    ResolvedPaginationOptions,
+    setupPagination,
+    TPage,
+    TPaginationQuery
+} from './pagination.js';
+import { DeprecationOptions, deprecationHeaders } from './versioning.js';
+import { createRouteCache, RouteCacheOptions } from './cache.js';
+import { createIdempotency, idempotencyHeaderProperties, IdempotencyOptions } from './idempotency.js';
+import { AppRateLimitOptions, createRouteRateLimit, RouteRateLimitOptions } from './rate-limit.js';
+import { ConcurrencyLimiter, describeRouteLimits, holdConcurrencySlot, RouteConcurrencyOptions, RouteTimeoutOptions, routeSignal, startRequestTimeout, trackHandler } from './limits.js';
+import { FilterableOptions, FilterAST, filterQueryProperties, parseFilters, ResolvedFilterOptions, setupFilters, TFilterQuery } from './filtering.js';
+import { Span, startRouteSpan, traceRoutePhase } from './tracing.js';
+import { AuthStrategyName, AuthUser, securitySchemeName } from './auth.js';
+import type { Session } from './session.js';
+import { AuthorizationRequirement, authorize, describeAuthorization } from './authorization.js';
 
 export type FileOptions = {
     maxFileSize?: number;
@@ -95,7 +121,13 @@ export interface RouteConfig<TState = unknown> {
     };
     errorHandler?: ErrorHandlerHook;
     fileOptions?: Record<string, FileOptions>;
-    rateLimit?: false | RateLimitOptions;
+    rateLimit?: false | RouteRateLimitOptions;
+    /**
+     * Maximum request body size in bytes, passed to Fastify
+     */
+    bodyLimit?: number;
+    timeout?: RouteTimeoutOptions;
+    concurrency?: RouteConcurrencyOptions;
     guards: Array<GuardFn<StatusSchemas, TState>>;
     preHandlers: Array<PrehandlerFn> | null;
     preValidation: PreValidationHook | null;
@@ -119,9 +151,35 @@ export interface RouteConfig<TState = unknown> {
     tags?: string[];
     summary?: string;
     version?: string;
+    deprecation?: DeprecationOptions;
+    pagination?: ResolvedPaginationOptions;
+    filter?: ResolvedFilterOptions;
+    /**
+     * Properties merged into the query schema at build time (pagination, filters)
+     */
+    queryProperties?: TProperties;
+    /**
+     * Properties merged into the headers schema at build time (idempotency key)
+     */
+    headerProperties?: TProperties;
+    idempotency?: IdempotencyOptions;
+    cache?: RouteCacheOptions;
     description?: string;
+    /**
+     * Strategies tried in order by `.auth()`, the first one accepting the request wins
+     */
+    auth?: AuthStrategyName[];
+    /**
+     * `.auth()` was given a guard, which verifies the credentials when no strategy is registered
+     */
+    authGuard?: boolean;
+    /**
+     * Requirements of `.roles()`, `.permissions()` and `.policy()`, for docs and introspection
+     */
+    authorization?: AuthorizationRequirement[];
     security?: Array<{ [key: string]: string[] }>;
     operationId?: string;
+    responseValidation?: ResponseValidationMode;
 }
 
 export function trimSlashes(input: string): string {
@@ -188,6 +246,17 @@ function normalizeOperationId(controller: string, operationId: string): string {
  * Falls back to {SchemaId}Response{StatusCode} if operationId is not available
  * For standard error schema (ResponseErrorSchema), uses common response type names
  */
+/**
+ * Name of a request schema composed from `.query()`/`.headers()` and builder extensions like `.paginated()`
+ * Format: {Controller}{OperationId}{Suffix}, e.g. UsersListQuery
+ */
+function generateRouteSchemaName(controller: string | undefined, operationId: string, suffix: 'Query' | 'Headers'): string {
+    if (controller) {
+        return `${toPascalCase(controller)}${normalizeOperationId(controller, operationId)}${suffix}`;
+    }
+    return `${operationId.charAt(0).toUpperCase()}${operationId.slice(1)}${suffix}`;
+}
+
 function generateResponseWrapperName(
     controller: string | undefined,
     operationId: string | undefined,
@@ -242,13 +311,16 @@ declare module 'fastify' {
     interface FastifyRequest {
         routeData?: unknown;
         tempFiles?: Array<UploadFile>;
-        session?: {
-            user?: Record<any, any>; // User data from session authentication
-            jwt?: Record<any, any>;  // JWT token data
-            isAuthenticated?: boolean; // Authentication flag
-            destroy(callback?: (err?: Error) => void): void; // Method from @fastify/session
-            regenerate(): Promise<void>; // Method from @fastify/session
-        }
+        pagination?: PaginationParams;
+        filter?: FilterAST;
+        /**
+         * Principal set by the authentication strategy of `.auth()`
+         */
+        user?: AuthUser;
+        /**
+         * Session loaded from the session cookie when `sessionOptions` is enabled
+         */
+        session?: Session;
     }
 }
 
@@ -442,6 +514,19 @@ export class RouteBuilder<
         return this;
     }
 
+    /**
+     * Mark the operation deprecated: responses carry `Deprecation`, `Sunset` and `Link` headers
+     * and the operation is flagged `deprecated: true` in Swagger
+     * @example
+     * ```typescript
+     * .deprecated({ sunset: '2026-01-01', link: 'https://docs.example.com/migrate-to-v2' })
+     * ```
+     */
+    public deprecated(options: DeprecationOptions = {}): this {
+        this.config.deprecation = options;
+        return this;
+    }
+
     // -------------------------
     // 2) HTTP methods
     // -------------------------
@@ -535,7 +620,22 @@ export class RouteBuilder<
         return parts.join('_');
     }
 
-    public auth(type: "bearer" | "basic" | "apiKey" = "bearer", guard?: GuardFn<TResponses, TState>): this {
+    /**
+     * Require authentication with a strategy registered on `ctx.auth` (see `authOptions`).
+     * The strategy sets `req.user` or the request is rejected with 401. Calling `auth()` again adds
+     * an alternative strategy. Without a registered strategy, `guard` verifies the credentials itself
+     * (as before strategies existed); a bare `.auth('bearer')` is then rejected with 401 unless
+     * `authOptions.guardOnly` is set.
+     * @example
+     * ```typescript
+     * useRoute('users')
+     *     .get('/me')
+     *     .auth('bearer')
+     *     .handler(async (req) => ({ status: 200, data: req.user }))
+     *     .build();
+     * ```
+     */
+    public auth(type: AuthStrategyName = "bearer", guard?: GuardFn<TResponses, TState>): this {
 
         if (!this.config.schema.headers) {
             this.config.schema.headers = Type.Object({});
@@ -543,13 +643,11 @@ export class RouteBuilder<
 
         if (guard) {
             this.guard(guard);
+            this.config.authGuard = true;
         }
 
-        const securityName = type === "bearer"
-            ? "BearerAuth"
-            : type === "basic"
-                ? "BasicAuth"
-                : "ApiKeyAuth";
+        this.config.auth = [...(this.config.auth || []).filter(name => name !== type), type];
+        const securityName = securitySchemeName(type);
 
         if (!this.config.security) {
             this.config.security = [];
@@ -713,7 +811,8 @@ export class RouteBuilder<
         code: Code,
         schema: T
     ): RouteBuilder<Params, Body, Query, Headers, MergeStatus<TResponses, Code, T>, TState> {
-        return this.codes({ [code]: schema });
+        this.codes({ [code]: schema });
+        return this as unknown as RouteBuilder<Params, Body, Query, Headers, MergeStatus<TResponses, Code, T>, TState>;
     }
 
     public codes<
@@ -747,6 +846,17 @@ export class RouteBuilder<
                 schema: validatedSchema,
                 id: validatedSchema.$id
             });
+            // RFC 7807 errors are sent unwrapped as application/problem+json, whatever error schema the route declares
+            if (statusCode >= 400 && getErrorFormat() === 'problem+json') {
+                this.config.schema.response[statusCode] = {
+                    content: {
+                        [PROBLEM_JSON_CONTENT_TYPE]: {
+                            schema: this.withRef(ResponseProblemSchema)
+                        }
+                    }
+                } as unknown as TSchema;
+                continue;
+            }
             // Create wrapper schema with $id using consistent naming convention
             // Format: {Controller}{OperationId}Response{StatusCode} or {SchemaId}Response{StatusCode}
             const wrapperSchemaId = generateResponseWrapperName(
@@ -765,6 +875,118 @@ export class RouteBuilder<
         return this as unknown as RouteBuilder<Params, Body, Query, Headers, TResponses & TNewResponses, TState>;
     }
 
+    /**
+     * List endpoint: adds `limit` + `cursor`/`offset` + `orderBy`/`order` query parameters,
+     * a 200 response `{ items, nextCursor, total? }` (cursor) or `{ items, total, limit, offset }` (offset),
+     * normalized `req.pagination` and `Link` headers to neighbouring pages.
+     * @example
+     * ```typescript
+     * useRoute('users')
+     *     .get('/')
+     *     .paginated(UserSchema, { mode: 'offset', maxLimit: 50 })
+     *     .handler(async (req) => {
+     *         const { limit, offset } = req.pagination as OffsetPaginationParams;
+     *         const [items, total] = await usersService.list(limit, offset);
+     *         return response200({ items, total, limit, offset });
+     *     })
+     *     .build();
+     * ```
+     */
+    public paginated<T extends TSchema, M extends PaginationMode = 'cursor'>(
+        itemSchema: T,
+        options: PaginationOptions<M> = {}
+    ): RouteBuilder<Params, Body, TIntersect<[Query, TPaginationQuery<M>]>, Headers, MergeStatus<TResponses, 200, TPage<T, M>>, TState> {
+        const validatedSchema = this.requireSchemaId(itemSchema, {
+            type: 'paginated',
+            method: this.config.method,
+            route: this.config.url
+        });
+        // The item schema must be registered before the page schema referencing it
+        this.withRef(validatedSchema);
+        const pagination = setupPagination(validatedSchema, options);
+        this.config.pagination = pagination;
+        this.config.queryProperties = {
+            ...this.config.queryProperties,
+            ...paginationQueryProperties(pagination)
+        };
+        this.code(200, createPageSchema(validatedSchema, pagination.mode as M));
+        return this as unknown as RouteBuilder<Params, Body, TIntersect<[Query, TPaginationQuery<M>]>, Headers, MergeStatus<TResponses, 200, TPage<T, M>>, TState>;
+    }
+
+    /**
+     * List filtering: parses `filter[field][op]=value` and `sort=-createdAt,name` into `req.filter`.
+     * Fields and their operators are derived from the item schema; every allowed pair is documented in the query schema.
+     * Unknown fields, unsupported operators and invalid values are rejected with 400.
+     * @example
+     * ```typescript
+     * useRoute('users')
+     *     .get('/')
+     *     .filterable(UserSchema, { fields: ['status', 'createdAt'], operators: { status: ['eq', 'in'] } })
+     *     .code(200, UserListSchema)
+     *     .handler(async (req) => {
+     *         const users = await prisma.user.findMany({ where: toPrismaWhere(req.filter), orderBy: toPrismaOrderBy(req.filter) });
+     *         return response200({ users });
+     *     })
+     *     .build();
+     * ```
+     */
+    public filterable<T extends TSchema>(
+        itemSchema: T,
+        options: FilterableOptions = {}
+    ): RouteBuilder<Params, Body, TIntersect<[Query, TFilterQuery]>, Headers, TResponses, TState> {
+        const filter = setupFilters(itemSchema, options);
+        this.config.filter = filter;
+        this.config.queryProperties = {
+            ...this.config.queryProperties,
+            ...filterQueryProperties(filter)
+        };
+        return this as unknown as RouteBuilder<Params, Body, TIntersect<[Query, TFilterQuery]>, Headers, TResponses, TState>;
+    }
+
+    /**
+     * Safe retries: the first response for an `Idempotency-Key` is stored and replayed
+     * (with `Idempotent-Replayed: true`) for requests repeating the key and payload.
+     * The same key with a different payload gets 409; concurrent duplicates wait for the first request.
+     * 5xx responses are not stored, so failed requests can be retried.
+     * @example
+     * ```typescript
+     * useRoute('payments')
+     *     .post('/')
+     *     .body(PaymentSchema)
+     *     .idempotent({ ttl: 60 * 60 * 1000, required: true })
+     *     .code(201, PaymentResultSchema)
+     *     .handler(...)
+     *     .build();
+     * ```
+     */
+    public idempotent(options: IdempotencyOptions = {}): this {
+        this.config.idempotency = options;
+        this.config.headerProperties = {
+            ...this.config.headerProperties,
+            ...idempotencyHeaderProperties(options)
+        };
+        return this;
+    }
+
+    /**
+     * Cache serialized 200 responses of GET requests (in-memory LRU by default).
+     * Responses carry `X-Cache: HIT|MISS`; entries are dropped by `ctx.cache.invalidate(tags)`.
+     * @example
+     * ```typescript
+     * useRoute('products')
+     *     .get('/:id')
+     *     .params(ProductParamsSchema)
+     *     .cache({ ttl: 30000, vary: ['accept-language'], tags: (req) => ['products', `product:${(req.params as any).id}`] })
+     *     .code(200, ProductSchema)
+     *     .handler(...)
+     *     .build();
+     * ```
+     */
+    public cache(options: RouteCacheOptions = {}): this {
+        this.config.cache = options;
+        return this;
+    }
+
     // --------------------------
     // 4) Guard functions
     // --------------------------
@@ -782,16 +1004,25 @@ export class RouteBuilder<
 
                 if (result === true || result === undefined) return true;
 
+                if (result instanceof ResponseError) {
+                    if (result.status === 204) {
+                        reply.code(204).send();
+                        return false;
+                    }
+                    this.sendError(req, reply, result);
+                    return false;
+                }
                 if ((typeof result === "object") && ("status" in result) && ("data" in result)) {
                     // For 204 No Content, don't send response body according to HTTP standard
                     if (result.status === 204) {
                         reply.code(204).send();
                         return false;
                     }
-                    reply.code(result.status).send(result);
+                    this.sendEnvelope(req, reply, result);
                     return false;
                 }
-                return reply.code(500).send(result?.message || `Guard returned an invalid error object`);
+                this.sendError(req, reply, new ResponseError(500, (result as any)?.message || `Guard returned an invalid error object`));
+                return false;
             } catch (error) {
                 if (error instanceof ResponseError) {
                     // 204 is not typically an error status, but handle it properly if needed
@@ -799,7 +1030,7 @@ export class RouteBuilder<
                         reply.code(204).send();
                         return false;
                     }
-                    reply.code(error.status).send(error);
+                    this.sendError(req, reply, error);
                     return false;
                 }
                 if ("status" in error && "data" in error) {
@@ -808,16 +1039,58 @@ export class RouteBuilder<
                         reply.code(204).send();
                         return false;
                     }
-                    reply.code(error.status).send(error);
+                    this.sendEnvelope(req, reply, error);
                     return false;
                 }
-                return reply.code(500).send(error?.message || `Unknown server error`);
+                this.sendError(req, reply, this.toResponseError(error, req));
+                return false;
             }
         });
 
         return this;
     }
 
+    private requirement(requirement: AuthorizationRequirement): this {
+        this.config.authorization = [...(this.config.authorization || []), requirement];
+        return this.guard(async (req) => {
+            await authorize(req, requirement, this.appContext.auth?.authorization);
+        });
+    }
+
+    /**
+     * Require `req.user` to have at least one of the roles, otherwise 403.
+     * Runs in the guard chain, in the order of declaration.
+     * @example
+     * ```typescript
+     * useRoute('articles').delete('/:id').auth('bearer').roles('admin', 'editor').handler(...)
+     * ```
+     */
+    public roles(...roles: string[]): this {
+        return this.requirement({ type: 'roles', roles });
+    }
+
+    /**
+     * Require `req.user` to have all of the permissions (`orders:*` and `*` grants match), otherwise 403
+     */
+    public permissions(...permissions: string[]): this {
+        return this.requirement({ type: 'permissions', permissions });
+    }
+
+    /**
+     * Custom authorization rule, 403 when it returns false
+     * @param name - shown in the OpenAPI description, 403 details and `getRouteAuthorizations()`
+     * @example
+     * ```typescript
+     * .policy(async (user, req) => (await orders.find(req.params.id))?.ownerId === user.id, 'ownsOrder')
+     * ```
+     */
+    public policy(
+        fn: (user: AuthUser, req: RequestWithState<Params, Body, Query, Headers, TState>) => boolean | Promise<boolean>,
+        name?: string
+    ): this {
+        return this.requirement({ type: 'policy', name: name || fn.name || 'policy', policy: fn as (user: AuthUser, req: FastifyRequest) => boolean | Promise<boolean> });
+    }
+
     // --------------------------
     // 5) Hooks
     // --------------------------
@@ -924,15 +1197,70 @@ export class RouteBuilder<
         return this;
     }
 
+    /**
+     * Override the app-wide `responseValidation` mode for this route
+     */
+    public responseValidation(mode: ResponseValidationMode): this {
+        this.config.responseValidation = mode;
+        return this;
+    }
+
     public cacheControl(value: string): this {
         this.config.cacheControl = value;
         return this;
     }
 
-    public rateLimit(options: false | RateLimitOptions): this {
+    /**
+     * Limit requests to this route, keyed by principal (or API key, or IP) after `.auth()` ran.
+     * Unset options fall back to `rateLimitOptions`; `false` exempts the route from the global limit.
+     * @example
+     * ```typescript
+     * useRoute('search')
+     *     .get('/')
+     *     .auth('apiKey')
+     *     .rateLimit({ timeWindow: '1 minute', tiers: { free: { max: 10 }, pro: { max: 500 } } })
+     *     .handler(...)
+     * ```
+     */
+    public rateLimit(options: false | RouteRateLimitOptions): this {
         this.config.rateLimit = options;
         return this;
     }
+
+    /**
+     * Reject request bodies larger than `bytes` with 413, overriding the server-wide `bodyLimit`.
+     * Multipart uploads are limited by `fileOptions` instead.
+     */
+    public bodyLimit(bytes: number): this {
+        this.config.bodyLimit = bytes;
+        return this;
+    }
+
+    /**
+     * Answer with 503 (or 504) when the route has not responded within `ms`, measured from the first
+     * preHandler. `req.signal` is aborted at the same time, pass it to fetch, database drivers or your own loops.
+     * @example
+     * ```typescript
+     * useRoute('reports')
+     *     .post('/')
+     *     .timeout(10000)
+     *     .handler(async (req) => response200(await reports.generate(req.body, { signal: req.signal })))
+     *     .build();
+     * ```
+     */
+    public timeout(ms: number, options: Omit<RouteTimeoutOptions, 'ms'> = {}): this {
+        this.config.timeout = { ...options, ms };
+        return this;
+    }
+
+    /**
+     * Handle at most `limit` requests of this route at the same time. Excess requests wait in a queue of
+     * `queue` places (none by default) and are rejected with 503 when it is full or `queueTimeout` expires.
+     */
+    public concurrency(limit: number, options: Omit<RouteConcurrencyOptions, 'limit'> = {}): this {
+        this.config.concurrency = { ...options, limit };
+        return this;
+    }
     public fileOptions(
         options: FileOptions,
         key?: keyof Static<Body>
@@ -952,6 +1280,70 @@ export class RouteBuilder<
         return this;
     }
 
+    /**
+     * Send a ResponseError in the configured error format
+     */
+    private sendError(req: FastifyRequest, reply: FastifyReply, error: ResponseError<number, unknown>) {
+        // A timeout may have answered while a guard or the handler was still running
+        if (reply.sent) {
+            return reply;
+        }
+        return sendResponseError(req, reply, error);
+    }
+
+    /**
+     * Translate a caught error through the app error mapper
+     */
+    private toResponseError(error: unknown, req: FastifyRequest): ResponseError<number, unknown> {
+        const mapper = this.appContext.errors ?? new ErrorMapper();
+        return mapper.translate(error, req);
+    }
+
+    /**
+     * Send a plain `{ status, data }` object returned or thrown by a guard, resolver or handler.
+     * Error statuses go through `sendError` so they honour the configured error format.
+     */
+    private sendEnvelope(req: FastifyRequest, reply: FastifyReply, envelope: { status: number; data?: unknown }, payload: unknown = envelope) {
+        if (envelope.status < 400) {
+            return reply.code(envelope.status).send(payload);
+        }
+        const data = envelope.data as { error?: unknown; details?: unknown } | string | undefined;
+        if (typeof data === 'string') {
+            return this.sendError(req, reply, new ResponseError(envelope.status, data));
+        }
+        if (data && typeof data === 'object' && typeof data.error === 'string') {
+            return this.sendError(req, reply, new ResponseError(envelope.status, data.error, data.details));
+        }
+        return this.sendError(req, reply, new ResponseError(envelope.status, STATUS_CODES[envelope.status] || 'Error', data));
+    }
+
+    /**
+     * Merge builder-provided properties with the route's own query/headers schema
+     * into one schema registered under `schemaId`. Headers are given to Fastify inline:
+     * it only lowercases header names of inline schemas (and warns with FSTSEC002 on a $ref).
+     */
+    private extendRequestSchema(type: 'query' | 'headers', properties: TProperties, schemaId: string): TSchema {
+        const entry = this.extraMetaStorage.getAll().find(meta => meta.type === type);
+        // auth() may have set an inline headers object without a registered schema
+        const inline = type === 'headers' ? this.config.schema.headers : this.config.schema.querystring;
+        const base = (entry?.schema ?? inline) as { properties?: TProperties } | undefined;
+        const merged = addSchema(Type.Object({
+            ...base?.properties,
+            ...properties
+        }, { $id: schemaId }));
+        if (entry) {
+            entry.schema = merged;
+            entry.id = merged.$id;
+        } else {
+            this.extraMetaStorage.add({ type, schema: merged, id: merged.$id });
+        }
+        if (type === 'headers') {
+            const { $id, ...inlineHeaders } = merged;
+            return inlineHeaders as TSchema;
+        }
+        return this.withRef(merged);
+    }
+
     public async build(): Promise<void> {
         const {
             method,
@@ -964,6 +1356,9 @@ export class RouteBuilder<
             responseType,
             cacheControl,
             rateLimit,
+            bodyLimit,
+            timeout,
+            concurrency,
             modify,
             tags,
             description,
@@ -981,9 +1376,20 @@ export class RouteBuilder<
             onResponse,
             onError,
             version,
+            deprecation,
+            pagination,
+            filter,
+            queryProperties,
+            headerProperties,
+            idempotency: idempotencyOptions,
+            cache: cacheOptions,
+            auth,
+            authGuard,
+            authorization,
             prefix,
             controller,
-            operationId
+            operationId,
+            responseValidation
         } = this.config;
 
         if (!handler) {
@@ -995,14 +1401,14 @@ export class RouteBuilder<
         const resolvePreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
             if (resolver) {
                 try {
-                    const result = await resolver(req, reply);
+                    const result = await traceRoutePhase('resolver', req, () => resolver(req, reply));
                     if (result instanceof ResponseError) {
                         // For 204 No Content, don't send response body according to HTTP standard
                         if (result.status === 204) {
                             reply.code(204).send();
                             return false;
                         }
-                        reply.code(result.status).send(result);
+                        this.sendError(req, reply, result);
                         return false;
                     }
                     if ((typeof result === "object") && ("status" in result) && ("data" in result)) {
@@ -1011,10 +1417,7 @@ export class RouteBuilder<
                             reply.code(204).send();
                             return false;
                         }
-                        reply.code(result.status).send({
-                            status: result.status,
-                            data: result.data
-                        });
+                        this.sendEnvelope(req, reply, { status: result.status, data: result.data });
                         return false;
                     }
                     req.routeData = result as TState;
@@ -1025,18 +1428,98 @@ export class RouteBuilder<
                             reply.code(204).send();
                             return false;
                         }
-                        reply.code(error.status).send(error);
+                        this.sendError(req, reply, error);
                         return false;
                     }
-                    return reply.code(500).send({
-                        status: 500,
-                        data: { error: error.message },
-                    });
+                    this.sendError(req, reply, this.toResponseError(error, req));
+                    return false;
                 }
             }
             return true;
         };
-        const preHandlersWithResolver = [resolvePreHandler, ...guards];
+        const paginationPreHandler = async (req: FastifyRequest) => {
+            req.pagination = resolvePagination(req.query as Record<string, unknown>, pagination);
+        };
+        const filterPreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
+            try {
+                req.filter = parseFilters(req.query as Record<string, unknown>, filter);
+            } catch (error) {
+                this.sendError(req, reply, this.toResponseError(error, req));
+                return false;
+            }
+            return true;
+        };
+        let warnedUnregisteredAuth = false;
+        // Runs first so unauthenticated requests get 401 before any query parsing or resolver work
+        const authPreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
+            const registry = this.appContext.auth;
+            // Strategies may be registered by plugins after the route was built, so this is checked per request
+            if (!registry || !auth.some(name => registry.has(name))) {
+                // A guard passed to .auth() verifies the credentials itself
+                const guardOnly = !!authGuard || !!registry?.guardOnly;
+                if (!warnedUnregisteredAuth) {
+                    warnedUnregisteredAuth = true;
+                    console.warn(guardOnly
+                        ? `⚠️ ${method} ${route} uses .auth('${auth.join("', '")}') without a registered strategy, only its guards verify credentials`
+                        : `⚠️ ${method} ${route} uses .auth('${auth.join("', '")}') without a registered strategy, requests are rejected with 401`);
+                }
+                // Legacy guard-only routes verify the credentials in their own guards
+                if (guardOnly) {
+                    return true;
+                }
+                this.sendError(req, reply, new ResponseError(401, 'Authentication required'));
+                return false;
+            }
+            try {
+                await registry.authenticate(auth, req, reply);
+            } catch (error) {
+                this.sendError(req, reply, this.toResponseError(error, req));
+                return false;
+            }
+            return true;
+        };
+        const rateLimiter = createRouteRateLimit(
+            this.fastify,
+            this.appContext.options?.rateLimitOptions as AppRateLimitOptions | false,
+            rateLimit
+        );
+        const rateLimitPreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
+            try {
+                await rateLimiter.call(this.fastify, req, reply);
+            } catch (error) {
+                this.sendError(req, reply, this.toResponseError(error, req));
+                return false;
+            }
+            return true;
+        };
+        const timeoutPreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
+            startRequestTimeout(req, reply, timeout, (error) => this.sendError(req, reply, error));
+            return true;
+        };
+        const concurrencyLimiter = concurrency ? new ConcurrencyLimiter(concurrency) : null;
+        // Takes a slot after authentication and rate limiting, so rejected requests never wait
+        const concurrencyPreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
+            try {
+                const release = await concurrencyLimiter.acquire(routeSignal(req, reply));
+                holdConcurrencySlot(req, reply, release);
+            } catch (error) {
+                this.sendError(req, reply, this.toResponseError(error, req));
+                return false;
+            }
+            return true;
+        };
+        const preHandlersWithResolver = [
+            ...(timeout ? [timeoutPreHandler] : []),
+            ...(auth?.length ? [authPreHandler] : []),
+            ...(rateLimiter ? [rateLimitPreHandler] : []),
+            ...(concurrencyLimiter ? [concurrencyPreHandler] : []),
+            ...(pagination ? [paginationPreHandler] : []),
+            ...(filter ? [filterPreHandler] : []),
+            resolvePreHandler,
+            ...guards.map((guard, index) => function (this: RouteBuilder, req: FastifyRequest, reply: FastifyReply) {
+                return traceRoutePhase('guard', req, () => guard.call(this, req, reply), { 'guard.index': index });
+            })
+        ];
         const tempFilesPrehandler = async (req: FastifyRequest) => {
             if (Array.isArray(req.tempFiles) && req.tempFiles.length) {
                 const files = groupFilesByFieldname(req.tempFiles);
@@ -1055,7 +1538,24 @@ export class RouteBuilder<
                 }
             }
         }
-        const allPreHandlers = [...preHandlersWithResolver, ...preHandlers];
+        // Runs after guards so unauthorized requests never claim or replay a key
+        const idempotencyPreHandler = async (req: FastifyRequest, reply: FastifyReply) => {
+            try {
+                return await idempotency.preHandler(req, reply);
+            } catch (error) {
+                this.sendError(req, reply, this.toResponseError(error, req));
+                return false;
+            }
+        };
+        const routeCache = cacheOptions && this.appContext.cache ? createRouteCache(cacheOptions, this.appContext.cache, auth) : null;
+        const cachePreHandler = (req: FastifyRequest, reply: FastifyReply) => routeCache.preHandler(req, reply);
+        const answeredRequests = new WeakSet<FastifyRequest>();
+        const allPreHandlers = [
+            ...preHandlersWithResolver,
+            ...(routeCache ? [cachePreHandler] : []),
+            ...(idempotencyOptions ? [idempotencyPreHandler] : []),
+            ...preHandlers
+        ];
         if (isMultipart && fileOptions) {
             allPreHandlers.push(tempFilesPrehandler);
         }
@@ -1066,6 +1566,23 @@ export class RouteBuilder<
             security: security || [],
             operationId: operationId || this.generateOperationId()
         }
+        if (queryProperties) {
+            schema.querystring = this.extendRequestSchema('query', queryProperties, generateRouteSchemaName(controller, extendedSchema.operationId, 'Query'));
+        }
+        if (headerProperties) {
+            schema.headers = this.extendRequestSchema('headers', headerProperties, generateRouteSchemaName(controller, extendedSchema.operationId, 'Headers'));
+        }
+        if (authorization?.length) {
+            extendedSchema.description = [extendedSchema.description, describeAuthorization(authorization)].filter(Boolean).join('\n\n');
+        }
+        if (pagination) {
+            const paginationNote = `Paginated (${pagination.mode}, up to ${pagination.maxLimit} items per page). Links to other pages are sent in the \`Link\` response header.`;
+            extendedSchema.description = [extendedSchema.description, paginationNote].filter(Boolean).join('\n\n');
+        }
+        const limitsNote = describeRouteLimits({ bodyLimit, timeout, concurrency });
+        if (limitsNote) {
+            extendedSchema.description = [extendedSchema.description, limitsNote].filter(Boolean).join('\n\n');
+        }
         if (schema.body) {
             extendedSchema.body = schema.body;
         }
@@ -1084,16 +1601,27 @@ export class RouteBuilder<
         if (schema.consumes) {
             extendedSchema.consumes = schema.consumes;
         }
+        const headersToSend: Record<string, string> = deprecation ? deprecationHeaders(deprecation) : {};
+        if (deprecation) {
+            extendedSchema.deprecated = true;
+            if (deprecation.sunset) {
+                const sunsetNote = `Deprecated, removed after ${new Date(deprecation.sunset).toISOString().slice(0, 10)}.`;
+                extendedSchema.description = [extendedSchema.description, sunsetNote].filter(Boolean).join('\n\n');
+            }
+        }
+        if (version) {
+            headersToSend['Api-Version'] = version;
+        }
+
+        // Ends in onSend, once Fastify serialized the payload
+        const serializationSpans = new WeakMap<FastifyRequest, Span>();
 
         const onErrorHandler = (error: FastifyError, req: FastifyRequest, reply: FastifyReply) => {
             if (error) {
                 if (errorHandler) {
                     errorHandler.call(this, error, req, reply);
                 } else {
-                    return reply.code(500).send({
-                        status: 500,
-                        data: { error: error.message },
-                    });
+                    return this.sendError(req, reply, this.toResponseError(error, req));
                 }
             }
         }
@@ -1107,12 +1635,27 @@ export class RouteBuilder<
         const _controller = cleanedController ? `${cleanedController}/` : '';
         const _version = version ? `v${version}/` : '';
         const route = `/${_prefix}${_controller}${_version}${cleanedUrl}`;
+        const idempotency = idempotencyOptions ? createIdempotency(idempotencyOptions, `${method} ${route}`) : null;
+        this.appContext.versions?.register(
+            method,
+            `/${_prefix}${_controller}${cleanedUrl}`,
+            version || null,
+            `${_prefix}${_controller}`.split('/').filter(Boolean).length
+        );
 
         const schemas = this.extraMetaStorage.getAll();
+        const validationMode: ResponseValidationMode = responseValidation ?? this.appContext.options?.responseValidation ?? 'off';
+        const responseSchemas = new Map<number, TSchema>(
+            schemas.filter(entry => entry.type === 'response').map(entry => [entry.statusCode, entry.schema])
+        );
         const metaEntry: MetaRouteEntry = {
             route,
             method,
-            meta: schemas
+            meta: schemas,
+            operationId: extendedSchema.operationId,
+            consumes: schema.consumes,
+            auth: auth || [],
+            authorization: authorization || []
         }
         metaRouteSchemaStorage.add(metaEntry);
 
@@ -1120,11 +1663,20 @@ export class RouteBuilder<
             method,
             url: route,
             schema: extendedSchema,
-            config: rateLimit ? { rateLimit } : undefined,
+            ...(bodyLimit !== undefined ? { bodyLimit } : {}),
+            config: {
+                // Limits are applied by the route's own preHandler, after authentication
+                rateLimit: false,
+                // Read by the multipart onFile hook to enforce size limits while streaming
+                ...(fileOptions ? { fileOptions } : {})
+            },
             preHandler: allPreHandlers.length ? allPreHandlers.map((fn) => async (req, reply) => {
                 const result = await fn.call(this, req, reply);
-                if (result === false) {
-                    return;
+                if (result === false || result === reply || reply.sent) {
+                    // reply.sent only flips once async onSend hooks finished; returning the reply
+                    // makes Fastify wait for it and skip the remaining preHandlers and the handler
+                    answeredRequests.add(req);
+                    return reply;
                 }
             }) : undefined,
             preValidation: async (req, reply) => {
@@ -1150,8 +1702,10 @@ export class RouteBuilder<
                         }
 
                         if (options.accept) {
-                            const fileType = await fileTypeFromBuffer(file.buffer);
-                            const actualMime = fileType?.mime || file.mimetype;
+                            // Sniff only the first bytes, streamed uploads are already detected while written
+                            const detectedMime = file.detectedMimetype
+                                ?? (file.buffer ? (await fileTypeFromBuffer(file.buffer.subarray(0, MIME_SNIFF_BYTES)))?.mime : undefined);
+                            const actualMime = detectedMime || file.mimetype;
 
                             const allowedTypes = options.accept.map(type =>
                                 type.endsWith('/*') ? type.replace('/*', '') : type
@@ -1177,13 +1731,7 @@ export class RouteBuilder<
                         }
                     }
                     if (errors.length > 0) {
-                        reply.code(400).send({
-                            status: 400,
-                            data: {
-                                error:
-                                    errors.join('\n')
-                            },
-                        });
+                        this.sendError(req, reply, new ResponseError(400, errors.join('\n')));
                     } else {
                         if (this.appContext.fileLoader && Array.isArray(req.tempFiles)) {
                             for (const file of req.tempFiles) {
@@ -1199,6 +1747,29 @@ export class RouteBuilder<
                 if (preSerialization) {
                     await preSerialization.call(this, req, reply, payload);
                 }
+                if (pagination && req.pagination && reply.statusCode === 200 && payload && typeof payload === 'object' && 'data' in payload) {
+                    const page = (payload as { data: unknown }).data;
+                    const links = page && typeof page === 'object' ? buildPaginationLinks(req.url, req.pagination, page as Record<string, unknown>) : undefined;
+                    if (links) {
+                        reply.header('Link', links);
+                    }
+                }
+                if (validationMode !== 'off' && !(payload instanceof ResponseError) && payload && typeof payload === 'object' && 'data' in payload) {
+                    const envelope = payload as { status?: number; data: unknown };
+                    const statusCode = envelope.status ?? reply.statusCode;
+                    const dataSchema = responseSchemas.get(statusCode);
+                    if (dataSchema) {
+                        payload = {
+                            status: statusCode,
+                            data: applyResponseValidation(validationMode, dataSchema, envelope.data, this.appContext.environment)
+                        };
+                    }
+                }
+                const serializationSpan = startRouteSpan('serialization', req);
+                if (serializationSpan) {
+                    serializationSpans.set(req, serializationSpan);
+                }
+                return payload;
             },
             preParsing: async (req, reply, payload) => {
                 if (preParsing) {
@@ -1206,19 +1777,32 @@ export class RouteBuilder<
                 }
             },
             onResponse: async (req, reply) => {
+                if (idempotency) {
+                    await idempotency.onResponse(req);
+                }
                 if (onResponse) {
                     await onResponse.call(this, req, reply);
                 }
             },
             onRequest: async (req, reply) => {
+                for (const [headerName, headerValue] of Object.entries(headersToSend)) {
+                    reply.header(headerName, headerValue);
+                }
                 if (onRequest) {
                     await onRequest.call(this, req, reply);
                 }
             },
             onSend: async (req, reply, payload) => {
+                serializationSpans.get(req)?.end();
                 if (onSend) {
                     await onSend.call(this, req, reply, payload);
                 }
+                if (idempotency) {
+                    await idempotency.onSend(req, reply, payload);
+                }
+                if (routeCache) {
+                    await routeCache.onSend(req, reply, payload);
+                }
             },
             onError: async (error, req, reply) => {
                 if (onError) {
@@ -1226,6 +1810,10 @@ export class RouteBuilder<
                 }
             },
             handler: async (req, reply) => {
+                // A preHandler already answered, e.g. a cache hit or an idempotent replay
+                if (answeredRequests.has(req)) {
+                    return reply;
+                }
                 for (const [headerName, headerValue] of Object.entries(responseHeaders)) {
                     reply.header(headerName, headerValue);
                 }
@@ -1238,13 +1826,16 @@ export class RouteBuilder<
 
                 if (handler) {
                     try {
-                        const result = await handler.call(this, req, reply) as ResponseUnion<TResponses>;
+                        const result = await trackHandler(req, () => traceRoutePhase('handler', req, () => handler.call(this, req, reply))) as ResponseUnion<TResponses>;
+                        if (reply.sent) {
+                            return reply;
+                        }
                         if (result instanceof ResponseError) {
                             // For 204 No Content, don't send response body according to HTTP standard
                             if (result.status === 204) {
                                 return reply.code(204).send();
                             }
-                            return reply.code(result.status).send(result);
+                            return this.sendError(req, reply, result);
                         }
                         if (
                             result &&
@@ -1255,38 +1846,32 @@ export class RouteBuilder<
                             if (result.status === 204) {
                                 return reply.code(204).send();
                             }
-                            return reply.code(result.status).send(result);
+                            return this.sendEnvelope(req, reply, result);
                         }
                         reply.type(this.config.responseType || 'text/html');
                         return result;
                     } catch (error) {
+                        if (reply.sent) {
+                            return reply;
+                        }
                         if (error instanceof ResponseError) {
                             // 204 is not typically an error status, but handle it properly if needed
                             if (error.status === 204) {
                                 return reply.code(204).send();
                             }
-                            return reply.code(error.status).send(error);
+                            return this.sendError(req, reply, error);
                         }
                         if ("status" in error && "data" in error) {
                             // For 204 No Content, don't send response body according to HTTP standard
                             if (error.status === 204) {
                                 return reply.code(204).send();
                             }
-                            return reply.code(error.status).send({
-                                status: error.status,
-                                data: error.data
-                            });
+                            return this.sendEnvelope(req, reply, { status: error.status, data: error.data });
                         }
-                        return reply.code(500).send({
-                            status: 500,
-                            data: { error: error.message || 'Internal server error' }
-                        });
+                        return this.sendError(req, reply, this.toResponseError(error, req));
                     }
                 } else {
-                    return reply.code(500).send({
-                        status: 500,
-                        data: { error: 'No handler provided' }
-                    });
+                    return this.sendError(req, reply, new ResponseError(500, 'No handler provided'));
                 }
             }
         };
@@ -482,6 +482,13 @@ export class SchemaRegistry {
         return Array.from(this.registeredIds);
     }
 
+    /**
+     * Get count of registered schema IDs
+     */
+    public getRegisteredCount(): number {
+        return this.registeredIds.size;
+    }
+
     /**
      * Get schema by ID from registry (checks both pending and registered schemas)
      */
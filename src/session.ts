@@ -0,0 +1,552 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, timingSafeEqual } from 'crypto';
+import { FastifyReply, FastifyRequest } from 'fastify';
+import type { AuthStrategy, AuthUser, SecurityScheme } from './auth.js';
+import { ResponseForbidden } from './response.js';
+import { AppOptions } from './types.js';
+
+/**
+ * Data kept in a session. Augment it to type the session of your app:
+ * @example
+ * ```typescript
+ * declare module '@tsdiapi/server' {
+ *     interface SessionData { cartId?: string }
+ * }
+ * ```
+ */
+export interface SessionData {
+    /**
+     * Principal used by `.auth('session')`
+     */
+    user?: AuthUser;
+    [key: string]: unknown;
+}
+
+/**
+ * Server-side storage of session data. Stores must drop expired sessions themselves.
+ */
+export interface SessionStore {
+    get(id: string): Promise<SessionData | undefined>;
+    /**
+     * @param ttl time to live in milliseconds
+     */
+    set(id: string, data: SessionData, ttl: number): Promise<void>;
+    destroy(id: string): Promise<void>;
+    /**
+     * Extend the lifetime of an unchanged session, `set` is used when missing
+     */
+    touch?(id: string, ttl: number): Promise<void>;
+}
+
+export type CookieOptions = {
+    path?: string;
+    domain?: string;
+    httpOnly?: boolean;
+    secure?: boolean;
+    sameSite?: 'strict' | 'lax' | 'none';
+    /**
+     * Lifetime in seconds, 0 expires the cookie
+     */
+    maxAge?: number;
+    expires?: Date;
+}
+
+export type CsrfOptions = {
+    /**
+     * Request header carrying the token on unsafe methods
+     * @default 'x-csrf-token'
+     */
+    header?: string;
+    /**
+     * Also mirror the token into a cookie readable by browser scripts, e.g. 'XSRF-TOKEN'
+     * @default false
+     */
+    cookieName?: string | false;
+    /**
+     * Methods that are never checked
+     * @default ['GET', 'HEAD', 'OPTIONS']
+     */
+    ignoreMethods?: string[];
+    /**
+     * Route patterns or URLs that are never checked, e.g. webhooks
+     */
+    ignorePaths?: string[];
+}
+
+export type SessionOptions = {
+    /**
+     * Key for signing and encrypting cookies. With a list, the first secret signs and all of them verify,
+     * which allows rotating secrets without logging everyone out.
+     * @default process.env.SESSION_SECRET
+     */
+    secret?: string | string[];
+    /**
+     * @default 'sid'
+     */
+    cookieName?: string;
+    /**
+     * @default { path: '/', httpOnly: true, sameSite: 'lax', secure: true in production }
+     */
+    cookie?: CookieOptions;
+    /**
+     * Where session data lives. A store keeps it server-side behind a signed session id cookie,
+     * 'cookie' keeps it in the cookie itself, encrypted with AES-256-GCM.
+     * @default memorySessionStore()
+     */
+    store?: SessionStore | 'cookie';
+    /**
+     * Session lifetime in milliseconds
+     * @default 86400000 (24 hours)
+     */
+    ttl?: number;
+    /**
+     * Extend the lifetime on every request, so `ttl` becomes an idle timeout
+     * @default true
+     */
+    rolling?: boolean;
+    /**
+     * CSRF protection for requests authenticated by the session cookie. `false` disables it.
+     * @default { header: 'x-csrf-token', cookieName: false, ignoreMethods: ['GET', 'HEAD', 'OPTIONS'] }
+     */
+    csrf?: CsrfOptions | false;
+}
+
+const defaultSession: SessionOptions = {
+    cookieName: 'sid',
+    ttl: 86400000,
+    rolling: true,
+    csrf: {}
+}
+
+export function setupSession(sessionOptions?: AppOptions['sessionOptions']): false | SessionOptions {
+    let options: SessionOptions = defaultSession;
+    if (!sessionOptions) return false;
+    if ('function' === typeof sessionOptions) {
+        options = sessionOptions(defaultSession);
+    } else if ('object' === typeof sessionOptions) {
+        options = { ...defaultSession, ...sessionOptions };
+    }
+    return options;
+}
+
+/**
+ * In-memory LRU store, suited for a single instance and development
+ */
+export function memorySessionStore(options: { maxEntries?: number } = {}): SessionStore {
+    const maxEntries = options.maxEntries ?? 10000;
+    const entries = new Map<string, { data: SessionData; expiresAt: number }>();
+    return {
+        async get(id) {
+            const entry = entries.get(id);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(id);
+                return undefined;
+            }
+            return structuredClone(entry.data);
+        },
+        async set(id, data, ttl) {
+            entries.delete(id);
+            entries.set(id, { data: structuredClone(data), expiresAt: Date.now() + ttl });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async destroy(id) {
+            entries.delete(id);
+        },
+        async touch(id, ttl) {
+            const entry = entries.get(id);
+            if (!entry) return;
+            entries.delete(id);
+            entries.set(id, { data: entry.data, expiresAt: Date.now() + ttl });
+        }
+    };
+}
+
+/**
+ * Parse a `Cookie` header, the first occurrence of a name wins
+ */
+export function parseCookies(header: string | undefined): Record<string, string> {
+    const cookies: Record<string, string> = {};
+    for (const pair of (header || '').split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator === -1) continue;
+        const name = pair.slice(0, separator).trim();
+        if (!name || name in cookies) continue;
+        let value = pair.slice(separator + 1).trim();
+        if (value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Build a `Set-Cookie` header value
+ */
+export function serializeCookie(name: string, value: string, options: CookieOptions = {}): string {
+    const parts = [`${name}=${encodeURIComponent(value)}`];
+    if (options.maxAge !== undefined) parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    if (options.expires) parts.push(`Expires=${options.expires.toUTCString()}`);
+    if (options.domain) parts.push(`Domain=${options.domain}`);
+    parts.push(`Path=${options.path || '/'}`);
+    if (options.httpOnly) parts.push('HttpOnly');
+    if (options.secure) parts.push('Secure');
+    if (options.sameSite) parts.push(`SameSite=${options.sameSite.charAt(0).toUpperCase()}${options.sameSite.slice(1)}`);
+    return parts.join('; ');
+}
+
+const toList = (secrets: string | string[]) => Array.isArray(secrets) ? secrets : [secrets];
+
+const derivedKeys = new Map<string, Buffer>();
+
+function deriveKey(secret: string, purpose: 'sign' | 'encrypt'): Buffer {
+    const cacheKey = `${purpose}:${secret}`;
+    let key = derivedKeys.get(cacheKey);
+    if (!key) {
+        key = Buffer.from(hkdfSync('sha256', secret, '', `tsdiapi-session-${purpose}`, 32));
+        derivedKeys.set(cacheKey, key);
+    }
+    return key;
+}
+
+function hmac(value: string, secret: string): Buffer {
+    return createHmac('sha256', deriveKey(secret, 'sign')).update(value).digest();
+}
+
+/**
+ * `value.signature` with an HMAC-SHA256 signature
+ */
+export function signCookieValue(value: string, secret: string): string {
+    return `${value}.${hmac(value, secret).toString('base64url')}`;
+}
+
+/**
+ * @returns the value when one of the secrets signed it, otherwise false
+ */
+export function unsignCookieValue(signed: string, secrets: string | string[]): string | false {
+    const separator = signed.lastIndexOf('.');
+    if (separator === -1) return false;
+    const value = signed.slice(0, separator);
+    const signature = Buffer.from(signed.slice(separator + 1), 'base64url');
+    return toList(secrets).some(secret => {
+        const expected = hmac(value, secret);
+        return expected.length === signature.length && timingSafeEqual(expected, signature);
+    }) ? value : false;
+}
+
+/**
+ * AES-256-GCM encryption, the result is `iv.ciphertext.tag` in base64url
+ */
+export function encryptCookieValue(value: string, secret: string): string {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', deriveKey(secret, 'encrypt'), iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, encrypted, cipher.getAuthTag()].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * @returns the plain value when one of the secrets encrypted it, otherwise false
+ */
+export function decryptCookieValue(encrypted: string, secrets: string | string[]): string | false {
+    const parts = encrypted.split('.');
+    if (parts.length !== 3) return false;
+    const [iv, data, tag] = parts.map(part => Buffer.from(part, 'base64url'));
+    for (const secret of toList(secrets)) {
+        try {
+            const decipher = createDecipheriv('aes-256-gcm', deriveKey(secret, 'encrypt'), iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+        } catch {
+            // Wrong secret or tampered value
+        }
+    }
+    return false;
+}
+
+const CSRF_KEY = '_csrf';
+
+const newSessionId = () => randomBytes(24).toString('base64url');
+
+/**
+ * Session of a request, available as `req.session`. Changes are saved when the response is sent;
+ * a new session gets its cookie only once something was stored in it.
+ */
+export class Session {
+    private changed = false;
+    private destroyed = false;
+    private previousId: string | undefined;
+
+    constructor(public id: string, public data: SessionData, public readonly isNew: boolean) { }
+
+    get user(): AuthUser | undefined {
+        return this.data.user;
+    }
+
+    set user(user: AuthUser | undefined) {
+        this.set('user', user);
+    }
+
+    get isAuthenticated(): boolean {
+        return !!this.data.user;
+    }
+
+    public get<T = unknown>(key: string): T | undefined {
+        return this.data[key] as T | undefined;
+    }
+
+    public set(key: string, value: unknown): this {
+        if (value === undefined) {
+            delete this.data[key];
+        } else {
+            this.data[key] = value;
+        }
+        this.changed = true;
+        return this;
+    }
+
+    public delete(key: string): this {
+        return this.set(key, undefined);
+    }
+
+    /**
+     * Move the data to a new session id and CSRF token. Call it after login to prevent session fixation.
+     */
+    public async regenerate(): Promise<void> {
+        if (!this.isNew && this.previousId === undefined) {
+            this.previousId = this.id;
+        }
+        this.id = newSessionId();
+        delete this.data[CSRF_KEY];
+        this.changed = true;
+    }
+
+    /**
+     * Remove the session from the store and expire its cookie, e.g. on logout
+     */
+    public destroy(callback?: (err?: Error) => void): void {
+        this.data = {};
+        this.destroyed = true;
+        callback?.();
+    }
+
+    /**
+     * CSRF token of the session, created on first use. Clients send it back in the CSRF header
+     * with unsafe requests.
+     */
+    public csrfToken(): string {
+        if (typeof this.data[CSRF_KEY] !== 'string') {
+            this.set(CSRF_KEY, randomBytes(24).toString('base64url'));
+        }
+        return this.data[CSRF_KEY] as string;
+    }
+
+    public isChanged(): boolean {
+        return this.changed;
+    }
+
+    public isDestroyed(): boolean {
+        return this.destroyed;
+    }
+
+    /**
+     * Id the session had before `regenerate()`, removed from the store on save
+     */
+    public getPreviousId(): string | undefined {
+        return this.previousId;
+    }
+}
+
+const defaultCsrf: Required<Pick<CsrfOptions, 'header' | 'ignoreMethods'>> = {
+    header: 'x-csrf-token',
+    ignoreMethods: ['GET', 'HEAD', 'OPTIONS']
+}
+
+/**
+ * OpenAPI scheme of the session cookie, documented as SessionAuth
+ */
+export function sessionSecurityScheme(cookieName = defaultSession.cookieName): SecurityScheme {
+    return { type: 'apiKey', in: 'cookie', name: cookieName, description: 'Session cookie' };
+}
+
+/**
+ * `.auth('session')`: the principal is `req.session.user`, set by your login route
+ */
+export function sessionStrategy(cookieName?: string): AuthStrategy {
+    return {
+        securityScheme: sessionSecurityScheme(cookieName),
+        authenticate(req) {
+            return req.session?.user ?? null;
+        }
+    };
+}
+
+/**
+ * Loads and saves `req.session`, available as `ctx.sessions`
+ */
+export class SessionManager {
+    public readonly options: SessionOptions;
+    /**
+     * Server-side store, null when data lives in encrypted cookies
+     */
+    public readonly store: SessionStore | null;
+    private readonly secrets: string[];
+    private warnedSize = false;
+
+    constructor(options: SessionOptions = defaultSession) {
+        this.secrets = toList(options.secret || process.env.SESSION_SECRET || []).filter(Boolean);
+        if (!this.secrets.length) {
+            throw new Error('Sessions require sessionOptions.secret or the SESSION_SECRET environment variable');
+        }
+        this.options = {
+            ...defaultSession,
+            ...options,
+            cookie: {
+                path: '/',
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: process.env.NODE_ENV === 'production',
+                ...options.cookie
+            }
+        };
+        this.store = options.store === 'cookie' ? null : options.store || memorySessionStore();
+    }
+
+    /**
+     * Read the session of a request from its cookie, or start a new one
+     */
+    public async load(req: FastifyRequest): Promise<Session> {
+        const raw = parseCookies(req.headers.cookie)[this.options.cookieName];
+        let session: Session | undefined;
+        if (raw && this.store) {
+            const id = unsignCookieValue(raw, this.secrets);
+            const data = id ? await this.store.get(id) : undefined;
+            if (id && data) {
+                session = new Session(id, data, false);
+            }
+        } else if (raw) {
+            const decrypted = decryptCookieValue(raw, this.secrets);
+            try {
+                const payload = decrypted ? JSON.parse(decrypted) as { id: string; data: SessionData; exp: number } : undefined;
+                if (payload && payload.exp > Date.now()) {
+                    session = new Session(payload.id, payload.data || {}, false);
+                }
+            } catch {
+                // Corrupted payload, start over
+            }
+        }
+        req.session = session || new Session(newSessionId(), {}, true);
+        return req.session;
+    }
+
+    /**
+     * Persist changes of `req.session` and set or expire its cookie
+     */
+    public async commit(req: FastifyRequest, reply: FastifyReply): Promise<void> {
+        const session = req.session;
+        if (!session) return;
+        const { cookieName, cookie, ttl, rolling } = this.options;
+        const previousId = session.getPreviousId();
+        if (this.store && previousId) {
+            await this.store.destroy(previousId);
+        }
+        if (session.isDestroyed()) {
+            if (this.store && !session.isNew) {
+                await this.store.destroy(session.id);
+            }
+            if (!session.isNew || previousId) {
+                reply.header('set-cookie', serializeCookie(cookieName, '', { ...cookie, maxAge: 0 }));
+                const csrfCookie = this.csrf()?.cookieName;
+                if (csrfCookie) {
+                    reply.header('set-cookie', serializeCookie(csrfCookie, '', { ...cookie, httpOnly: false, maxAge: 0 }));
+                }
+            }
+            return;
+        }
+        if (!session.isChanged() && (session.isNew || !rolling)) return;
+
+        // Issue the token before saving so the stored session and the mirrored cookie agree
+        const csrfCookie = this.csrf()?.cookieName;
+        const csrfToken = csrfCookie && session.isChanged() ? session.csrfToken() : undefined;
+        let value: string;
+        if (this.store) {
+            if (session.isChanged() || !this.store.touch) {
+                await this.store.set(session.id, session.data, ttl);
+            } else {
+                await this.store.touch(session.id, ttl);
+            }
+            value = signCookieValue(session.id, this.secrets[0]);
+        } else {
+            value = encryptCookieValue(JSON.stringify({ id: session.id, data: session.data, exp: Date.now() + ttl }), this.secrets[0]);
+            if (value.length > 4000 && !this.warnedSize) {
+                this.warnedSize = true;
+                console.warn(`⚠️ Session cookie "${cookieName}" is ${value.length} bytes, browsers drop cookies above 4096 bytes. Use a session store for large sessions.`);
+            }
+        }
+        reply.header('set-cookie', serializeCookie(cookieName, value, { ...cookie, maxAge: ttl / 1000 }));
+        if (csrfToken) {
+            reply.header('set-cookie', serializeCookie(csrfCookie as string, csrfToken, { ...cookie, httpOnly: false, maxAge: ttl / 1000 }));
+        }
+    }
+
+    /**
+     * Remove a session by id, e.g. to sign a user out of other devices. Not possible with cookie storage.
+     */
+    public async destroy(id: string): Promise<void> {
+        if (!this.store) {
+            throw new Error('Sessions stored in cookies cannot be destroyed by id');
+        }
+        await this.store.destroy(id);
+    }
+
+    /**
+     * Reject unsafe requests of an existing session without a matching CSRF token
+     * @throws ResponseError(403)
+     */
+    public verifyCsrf(req: FastifyRequest): void {
+        const csrf = this.csrf();
+        if (!csrf || csrf.ignoreMethods.includes(req.method)) return;
+        const path = req.url.split('?')[0];
+        if (csrf.ignorePaths?.some(ignored => ignored === req.routeOptions.url || ignored === path)) return;
+        // Without a session cookie the browser sends no credentials that could be abused
+        const session = req.session;
+        if (!session || session.isNew) return;
+        const expected = session.get<string>(CSRF_KEY);
+        const header = req.headers[csrf.header.toLowerCase()];
+        const provided = Array.isArray(header) ? header[0] : header;
+        const valid = !!expected && !!provided
+            && Buffer.byteLength(expected) === Buffer.byteLength(provided)
+            && timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+        if (!valid) {
+            throw new ResponseForbidden('Invalid CSRF token', { header: csrf.header });
+        }
+    }
+
+    private csrf(): (CsrfOptions & typeof defaultCsrf) | undefined {
+        if (this.options.csrf === false) return undefined;
+        return { ...defaultCsrf, ...this.options.csrf };
+    }
+}
+
+/**
+ * Hooks loading the session on request, checking CSRF before handlers and saving on send
+ */
+export function createSessionHooks(manager: SessionManager) {
+    return {
+        onRequest: async (req: FastifyRequest) => {
+            await manager.load(req);
+        },
+        preHandler: async (req: FastifyRequest) => {
+            manager.verifyCsrf(req);
+        },
+        onSend: async (req: FastifyRequest, reply: FastifyReply, payload: unknown) => {
+            await manager.commit(req, reply);
+            return payload;
+        }
+    };
+}
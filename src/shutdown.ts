@@ -0,0 +1,119 @@
+import { cristal, rainbow } from 'gradient-string';
+import { AppContext, AppOptions } from './types.js';
+
+export type ShutdownOptions = {
+    /**
+     * Max time in ms to drain in-flight requests and run onShutdown hooks before forcing exit
+     * @default 10000
+     */
+    timeout?: number;
+    /**
+     * Signals that trigger graceful shutdown
+     * @default ['SIGINT', 'SIGTERM']
+     */
+    signals?: NodeJS.Signals[];
+    /**
+     * Time in ms between `/health/ready` reporting "not ready" and the listener closing, so load balancers
+     * and Kubernetes readiness probes can stop routing traffic first. Counts against `timeout`.
+     * @default 5000 in production, otherwise 0
+     */
+    readinessDelay?: number;
+}
+
+const defaultShutdown: ShutdownOptions = {
+    timeout: 10000,
+    signals: ['SIGINT', 'SIGTERM'],
+    readinessDelay: process.env.NODE_ENV === 'production' ? 5000 : 0
+}
+
+export function setupShutdown(shutdownOptions?: AppOptions['shutdownOptions']): false | ShutdownOptions {
+    let options: ShutdownOptions = defaultShutdown;
+    if (shutdownOptions === false) return false;
+    if ('function' === typeof shutdownOptions) {
+        options = shutdownOptions(defaultShutdown);
+    } else if ('object' === typeof shutdownOptions) {
+        options = { ...defaultShutdown, ...shutdownOptions };
+    }
+    return options;
+}
+
+/**
+ * Run onShutdown hooks in reverse registration order:
+ * app-level hook first (registered last), then plugins from last to first
+ */
+async function runShutdownHooks(context: AppContext): Promise<void> {
+    const options = context.options;
+    if (options?.onShutdown) {
+        try {
+            await options.onShutdown(context);
+        } catch (error) {
+            console.error(`⚠️ Error in onShutdown:\n`, error.stack || error);
+        }
+    }
+    const plugins = [...(options?.plugins || [])].reverse();
+    for (const plugin of plugins) {
+        if (plugin?.onShutdown) {
+            try {
+                await plugin.onShutdown(context);
+            } catch (error) {
+                console.error(`⚠️ Error in plugin "${plugin.name}" during onShutdown:\n`, error.stack || error);
+            }
+        }
+    }
+}
+
+/**
+ * Report "not ready", keep serving for `readinessDelay`, then stop accepting connections,
+ * wait for in-flight requests and run onShutdown hooks.
+ * Resolves to false when the timeout expired before everything finished.
+ */
+export async function gracefulShutdown(context: AppContext, timeout: number = defaultShutdown.timeout, readinessDelay: number = 0): Promise<boolean> {
+    let timer: NodeJS.Timeout | undefined;
+    const expired = new Promise<false>((resolve) => {
+        timer = setTimeout(() => resolve(false), timeout);
+    });
+    // Readiness reports "not ready" from here on
+    context.health?.markShuttingDown();
+    const completed = (async () => {
+        if (readinessDelay > 0 && context.fastify.server.listening) {
+            // Probes still reach the listener and see "not ready" before it stops
+            await new Promise(resolve => setTimeout(resolve, readinessDelay));
+        }
+        try {
+            // fastify.close() stops the listener and resolves once in-flight requests are done
+            await context.fastify.close();
+        } catch (error) {
+            console.error(`⚠️ Error while closing the server:\n`, error.stack || error);
+        }
+        await runShutdownHooks(context);
+        return true as const;
+    })();
+    const result = await Promise.race([completed, expired]);
+    clearTimeout(timer);
+    return result;
+}
+
+export function registerShutdownSignals(context: AppContext, options: ShutdownOptions): void {
+    let shuttingDown = false;
+    for (const signal of options.signals || []) {
+        process.on(signal, async () => {
+            if (shuttingDown) {
+                console.log(cristal(`💀 Received ${signal} again, terminating immediately...`));
+                process.exit(1);
+            }
+            shuttingDown = true;
+            console.log(rainbow("✨ Almost done, cleaning up resources..."));
+            const completed = await gracefulShutdown(context, options.timeout, options.readinessDelay);
+            if (!completed) {
+                console.log(
+                    cristal(`
+        👋 Forced shutdown due to timeout.
+        🔌 Some processes didn't close in time!
+        💀 Terminating immediately...
+        `))
+                process.exit(1);
+            }
+            process.exit(0);
+        });
+    }
+}
@@ -3,8 +3,18 @@
 */
 import { FastifyDynamicSwaggerOptions } from '@fastify/swagger';
 import { FastifySwaggerUiOptions } from '@fastify/swagger-ui';
+import { FastifyInstance } from 'fastify';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import type { SessionOptions } from './session.js';
 import { AppMainOptions, AppOptions } from './types.js';
 
+/**
+ * Environment variable that makes createApp write the OpenAPI document to the given path and exit
+ * without starting the HTTP listener, e.g. `OPENAPI_EXPORT=openapi.json npm start`
+ */
+export const OPENAPI_EXPORT_ENV = 'OPENAPI_EXPORT';
+
 export function setupSwagger(appOptions: AppOptions, options?: AppMainOptions): {
     swaggerOptions: FastifyDynamicSwaggerOptions;
     swaggerUiOptions: FastifySwaggerUiOptions;
@@ -48,7 +58,14 @@ export function setupSwagger(appOptions: AppOptions, options?: AppMainOptions):
                         type: "apiKey",
                         in: "header",
                         name: "X-API-Key"
-                    }
+                    },
+                    ...(appOptions?.sessionOptions ? {
+                        SessionAuth: {
+                            type: "apiKey",
+                            in: "cookie",
+                            name: (appOptions.sessionOptions as SessionOptions).cookieName || "sid"
+                        }
+                    } : {})
                 }
             },
             security: []
@@ -90,5 +107,20 @@ export function setupSwagger(appOptions: AppOptions, options?: AppMainOptions):
     }
 }
 
+/**
+ * Write the OpenAPI document to a file, as YAML for .yaml/.yml paths and JSON otherwise.
+ * Waits for `fastify.ready()`, no listener is needed.
+ */
+export async function exportOpenApi(fastify: FastifyInstance, filePath: string): Promise<string> {
+    const target = path.resolve(filePath);
+    await fastify.ready();
+    const document = /\.ya?ml$/i.test(target)
+        ? fastify.swagger({ yaml: true })
+        : JSON.stringify(fastify.swagger(), null, 2);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, document, 'utf-8');
+    return target;
+}
+
 
 
@@ -0,0 +1,613 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { FastifyReply, FastifyRequest } from 'fastify';
+import { setRequestContextValue } from './request-context.js';
+import { AppOptions } from './types.js';
+
+export type SpanKind = 'server' | 'client' | 'internal';
+export type SpanStatusCode = 'unset' | 'ok' | 'error';
+export type SpanAttributeValue = string | number | boolean | Array<string | number | boolean>;
+export type SpanAttributes = Record<string, SpanAttributeValue>;
+
+/**
+ * Identity of a span as carried by the W3C `traceparent` and `tracestate` headers
+ */
+export type SpanContext = {
+    traceId: string;
+    spanId: string;
+    /**
+     * Bit field, `01` means sampled
+     */
+    traceFlags: number;
+    traceState?: string;
+}
+
+export type SpanEvent = {
+    name: string;
+    /**
+     * Epoch milliseconds
+     */
+    time: number;
+    attributes?: SpanAttributes;
+}
+
+/**
+ * Finished span as handed to exporters
+ */
+export type SpanData = {
+    name: string;
+    kind: SpanKind;
+    traceId: string;
+    spanId: string;
+    parentSpanId?: string;
+    traceState?: string;
+    /**
+     * Epoch milliseconds with sub-millisecond precision
+     */
+    startTime: number;
+    endTime: number;
+    duration: number;
+    attributes: SpanAttributes;
+    events: SpanEvent[];
+    status: { code: SpanStatusCode; message?: string };
+}
+
+export interface SpanExporter {
+    export(spans: SpanData[], resource: TraceResource): Promise<void> | void;
+    shutdown?(): Promise<void> | void;
+}
+
+export type TraceResource = {
+    serviceName: string;
+    attributes?: SpanAttributes;
+}
+
+export type TracingOptions = {
+    /**
+     * `service.name` reported to exporters
+     * @default APP_NAME
+     */
+    serviceName?: string;
+    /**
+     * @default [consoleSpanExporter()]
+     */
+    exporters?: SpanExporter[];
+    /**
+     * Share of new traces that are recorded (0..1). Incoming `traceparent` headers keep their sampled flag.
+     * @default 1
+     */
+    sampleRate?: number;
+    /**
+     * Send `traceparent` (and `tracestate`) of the request span in responses
+     * @default true
+     */
+    responseHeader?: boolean;
+    /**
+     * Request paths without spans, e.g. health probes
+     * @default []
+     */
+    ignorePaths?: string[];
+    /**
+     * Finished spans are exported in batches of this size, or every `flushInterval`
+     * @default 100
+     */
+    maxBatchSize?: number;
+    /**
+     * @default 5000
+     */
+    flushInterval?: number;
+}
+
+const defaultTracing: TracingOptions = {
+    sampleRate: 1,
+    responseHeader: true,
+    ignorePaths: [],
+    maxBatchSize: 100,
+    flushInterval: 5000
+}
+
+export function setupTracing(tracingOptions?: AppOptions['tracingOptions']): false | TracingOptions {
+    let options: TracingOptions = defaultTracing;
+    if (!tracingOptions) return false;
+    if ('function' === typeof tracingOptions) {
+        options = tracingOptions(defaultTracing);
+    } else if ('object' === typeof tracingOptions) {
+        options = { ...defaultTracing, ...tracingOptions };
+    }
+    return options;
+}
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const TRACESTATE_MEMBER = /^(?:[a-z0-9][_0-9a-z\-*/]{0,255}|[a-z0-9][_0-9a-z\-*/]{0,240}@[a-z][_0-9a-z\-*/]{0,13})=[\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e]$/;
+const MAX_TRACESTATE_MEMBERS = 32;
+
+/**
+ * Parse a W3C `traceparent` header
+ * @returns undefined for malformed headers, version `ff` and all-zero ids
+ */
+export function parseTraceparent(header: string | undefined): SpanContext | undefined {
+    const match = TRACEPARENT.exec(header?.trim().toLowerCase() || '');
+    if (!match) return undefined;
+    const [, version, traceId, spanId, flags, rest] = match;
+    // Version 00 has exactly four fields, later versions may append more
+    if (version === 'ff' || (version === '00' && rest)) return undefined;
+    if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return undefined;
+    return { traceId, spanId, traceFlags: parseInt(flags, 16) };
+}
+
+/**
+ * Keep the valid members of a W3C `tracestate` header (at most 32), undefined when none is left
+ */
+export function parseTracestate(header: string | string[] | undefined): string | undefined {
+    const raw = Array.isArray(header) ? header.join(',') : header;
+    if (!raw) return undefined;
+    const members = raw.split(',').map(member => member.trim()).filter(member => TRACESTATE_MEMBER.test(member));
+    return members.length ? members.slice(0, MAX_TRACESTATE_MEMBERS).join(',') : undefined;
+}
+
+export function formatTraceparent(context: SpanContext): string {
+    return `00-${context.traceId}-${context.spanId}-${(context.traceFlags & 0xff).toString(16).padStart(2, '0')}`;
+}
+
+const now = () => performance.timeOrigin + performance.now();
+
+export class Span {
+    public readonly traceId: string;
+    public readonly spanId: string;
+    public readonly startTime = now();
+    public endTime?: number;
+    public readonly attributes: SpanAttributes = {};
+    public readonly events: SpanEvent[] = [];
+    public status: SpanData['status'] = { code: 'unset' };
+
+    constructor(
+        private readonly tracer: Tracer,
+        public name: string,
+        public readonly kind: SpanKind,
+        public readonly context: SpanContext,
+        public readonly parentSpanId?: string
+    ) {
+        this.traceId = context.traceId;
+        this.spanId = context.spanId;
+    }
+
+    public get sampled(): boolean {
+        return (this.context.traceFlags & 1) === 1;
+    }
+
+    public setAttribute(key: string, value: SpanAttributeValue | undefined): this {
+        if (value !== undefined) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    public setAttributes(attributes: Record<string, SpanAttributeValue | undefined>): this {
+        for (const [key, value] of Object.entries(attributes)) {
+            this.setAttribute(key, value);
+        }
+        return this;
+    }
+
+    public addEvent(name: string, attributes?: SpanAttributes): this {
+        this.events.push({ name, time: now(), attributes });
+        return this;
+    }
+
+    public setStatus(code: SpanStatusCode, message?: string): this {
+        this.status = message ? { code, message } : { code };
+        return this;
+    }
+
+    /**
+     * Add an `exception` event and mark the span as failed
+     */
+    public recordException(error: unknown): this {
+        const err = error instanceof Error ? error : new Error(String(error));
+        this.addEvent('exception', {
+            'exception.type': err.name,
+            'exception.message': err.message,
+            ...(err.stack ? { 'exception.stacktrace': err.stack } : {})
+        });
+        return this.setStatus('error', err.message);
+    }
+
+    /**
+     * Finish the span, later calls are ignored
+     */
+    public end(): void {
+        if (this.endTime !== undefined) return;
+        this.endTime = now();
+        this.tracer.onEnd(this);
+    }
+
+    public toJSON(): SpanData {
+        const endTime = this.endTime ?? now();
+        return {
+            name: this.name,
+            kind: this.kind,
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            traceState: this.context.traceState,
+            startTime: this.startTime,
+            endTime,
+            duration: endTime - this.startTime,
+            attributes: this.attributes,
+            events: this.events,
+            status: this.status
+        };
+    }
+}
+
+export type StartSpanOptions = {
+    kind?: SpanKind;
+    attributes?: SpanAttributes;
+    /**
+     * Parent span or remote context
+     * @default the active span
+     */
+    parent?: Span | SpanContext | null;
+}
+
+/**
+ * Active span of the current async scope
+ */
+const spanStorage = new AsyncLocalStorage<Span>();
+
+/**
+ * Creates spans and batches finished, sampled spans to the exporters
+ */
+export class Tracer {
+    public serviceName: string;
+    private readonly exporters: SpanExporter[];
+    private buffer: SpanData[] = [];
+    private timer: NodeJS.Timeout | null = null;
+    private flushing: Promise<void> = Promise.resolve();
+
+    constructor(public readonly options: TracingOptions = defaultTracing) {
+        this.serviceName = options.serviceName || 'tsdiapi-server';
+        this.exporters = options.exporters || [consoleSpanExporter()];
+    }
+
+    public startSpan(name: string, options: StartSpanOptions = {}): Span {
+        const parent = options.parent === undefined ? getActiveSpan() : options.parent;
+        const parentContext = parent instanceof Span ? parent.context : parent;
+        const sampleRate = this.options.sampleRate ?? 1;
+        const context: SpanContext = {
+            traceId: parentContext?.traceId || randomBytes(16).toString('hex'),
+            spanId: randomBytes(8).toString('hex'),
+            traceFlags: parentContext ? parentContext.traceFlags : (Math.random() < sampleRate ? 1 : 0),
+            traceState: parentContext?.traceState
+        };
+        const span = new Span(this, name, options.kind || 'internal', context, parentContext?.spanId);
+        if (options.attributes) {
+            span.setAttributes(options.attributes);
+        }
+        return span;
+    }
+
+    /**
+     * @internal called by Span.end()
+     */
+    public onEnd(span: Span): void {
+        if (!span.sampled) return;
+        this.buffer.push(span.toJSON());
+        if (this.buffer.length >= (this.options.maxBatchSize ?? 100)) {
+            void this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => void this.flush(), this.options.flushInterval ?? 5000);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Export buffered spans now
+     */
+    public async flush(): Promise<void> {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const spans = this.buffer;
+        this.buffer = [];
+        if (!spans.length) return this.flushing;
+        const resource: TraceResource = { serviceName: this.serviceName };
+        // Batches are exported one after another so file exporters keep their order
+        this.flushing = this.flushing.then(() => Promise.all(this.exporters.map(async (exporter) => {
+            try {
+                await exporter.export(spans, resource);
+            } catch (error) {
+                console.warn(`⚠️ Span exporter failed: ${error.message}`);
+            }
+        }))).then((): void => undefined);
+        return this.flushing;
+    }
+
+    public async shutdown(): Promise<void> {
+        await this.flush();
+        for (const exporter of this.exporters) {
+            await exporter.shutdown?.();
+        }
+    }
+}
+
+let activeTracer: Tracer | null = null;
+
+/**
+ * Called by createApp with the app tracer, or null when tracing is disabled
+ */
+export function setTracer(tracer: Tracer | null): void {
+    activeTracer = tracer;
+}
+
+export function getTracer(): Tracer | null {
+    return activeTracer;
+}
+
+export function getActiveSpan(): Span | undefined {
+    return spanStorage.getStore();
+}
+
+/**
+ * Run `fn` inside a child span of the active span. The span ends when `fn` settles and
+ * records thrown errors. Spans created inside `fn` (also through `await`) become its children.
+ * Without tracing enabled `fn` runs with `null`.
+ * @example
+ * ```typescript
+ * const invoice = await withSpan('billing.createInvoice', async (span) => {
+ *     span?.setAttribute('invoice.items', items.length);
+ *     return await prisma.invoice.create({ data });
+ * });
+ * ```
+ */
+export async function withSpan<T>(
+    name: string,
+    fn: (span: Span | null) => T | Promise<T>,
+    options: StartSpanOptions = {}
+): Promise<T> {
+    if (!activeTracer) {
+        return await fn(null);
+    }
+    const span = activeTracer.startSpan(name, options);
+    return await runInSpan(span, () => fn(span));
+}
+
+async function runInSpan<T>(span: Span, fn: () => T | Promise<T>): Promise<T> {
+    try {
+        return await spanStorage.run(span, fn);
+    } catch (error) {
+        span.recordException(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+const requestSpans = new WeakMap<FastifyRequest, Span>();
+
+/**
+ * Server span of a request, undefined when tracing is disabled or the path is ignored
+ */
+export function getRequestSpan(request: FastifyRequest): Span | undefined {
+    return requestSpans.get(request);
+}
+
+/**
+ * Child span of the request span for a route lifecycle phase, undefined outside traced requests
+ */
+export function startRouteSpan(name: string, request: FastifyRequest, attributes?: SpanAttributes): Span | undefined {
+    const parent = requestSpans.get(request);
+    if (!activeTracer || !parent) return undefined;
+    return activeTracer.startSpan(name, { parent, attributes });
+}
+
+/**
+ * Run a route lifecycle phase (resolver, guard, handler) in its own span
+ */
+export async function traceRoutePhase<T>(name: string, request: FastifyRequest, fn: () => T | Promise<T>, attributes?: SpanAttributes): Promise<T> {
+    const span = startRouteSpan(name, request, attributes);
+    if (!span) return await fn();
+    return await runInSpan(span, fn);
+}
+
+/**
+ * `traceparent`/`tracestate` headers of the active span for outgoing requests
+ * @example
+ * ```typescript
+ * await fetch(url, { headers: { ...traceHeaders() } });
+ * ```
+ */
+export function traceHeaders(span: Span | undefined = getActiveSpan()): Record<string, string> {
+    if (!span) return {};
+    return {
+        traceparent: formatTraceparent(span.context),
+        ...(span.context.traceState ? { tracestate: span.context.traceState } : {})
+    };
+}
+
+/**
+ * Request hooks: onRequest continues the incoming trace (or starts one) with a server span
+ * made active for the whole request, onResponse finishes it with route and status
+ */
+export function createTracingHooks(tracer: Tracer) {
+    const ignorePaths = new Set(tracer.options.ignorePaths || []);
+    return {
+        onRequest: async (request: FastifyRequest, reply: FastifyReply) => {
+            const pathname = request.url.split('?')[0];
+            if (ignorePaths.has(pathname)) return;
+            const header = request.headers.traceparent;
+            const remote = parseTraceparent(Array.isArray(header) ? header[0] : header);
+            if (remote) {
+                remote.traceState = parseTracestate(request.headers.tracestate);
+            }
+            const span = tracer.startSpan(`${request.method} ${pathname}`, {
+                kind: 'server',
+                parent: remote || null,
+                attributes: {
+                    'http.request.method': request.method,
+                    'url.path': pathname,
+                    'client.address': request.ip,
+                    ...(request.headers['user-agent'] ? { 'user_agent.original': request.headers['user-agent'] } : {})
+                }
+            });
+            requestSpans.set(request, span);
+            // Same pattern as the request context hook: the span stays active for the rest of the request
+            spanStorage.enterWith(span);
+            setRequestContextValue('traceId', span.traceId);
+            setRequestContextValue('spanId', span.spanId);
+            if (tracer.options.responseHeader) {
+                reply.header('traceparent', formatTraceparent(span.context));
+                if (span.context.traceState) {
+                    reply.header('tracestate', span.context.traceState);
+                }
+            }
+        },
+        onResponse: async (request: FastifyRequest, reply: FastifyReply) => {
+            const span = requestSpans.get(request);
+            if (!span) return;
+            requestSpans.delete(request);
+            const routePattern = request.routeOptions?.url;
+            if (routePattern) {
+                span.name = `${request.method} ${routePattern}`;
+                span.setAttribute('http.route', routePattern);
+            }
+            span.setAttribute('http.response.status_code', reply.statusCode);
+            if (reply.statusCode >= 500) {
+                span.setStatus('error');
+            }
+            span.end();
+        }
+    };
+}
+
+/**
+ * Prints one line per span, or the span JSON with `format: 'json'`
+ */
+export function consoleSpanExporter(options: { format?: 'pretty' | 'json' } = {}): SpanExporter {
+    return {
+        export(spans) {
+            for (const span of spans) {
+                if (options.format === 'json') {
+                    console.log(JSON.stringify(span));
+                    continue;
+                }
+                const failed = span.status.code === 'error' ? ' ❌' : '';
+                const parent = span.parentSpanId ? ` parent=${span.parentSpanId}` : '';
+                console.log(`🔭 ${span.name} ${span.duration.toFixed(1)}ms trace=${span.traceId} span=${span.spanId}${parent}${failed}`);
+            }
+        }
+    };
+}
+
+/**
+ * Appends spans to a file as JSON lines: one span per line, or one OTLP/JSON
+ * `ExportTraceServiceRequest` per batch with `format: 'otlp'`
+ */
+export function jsonFileSpanExporter(filePath: string, options: { format?: 'span' | 'otlp' } = {}): SpanExporter {
+    let ready: Promise<unknown> | null = null;
+    return {
+        async export(spans, resource) {
+            ready = ready || mkdir(path.dirname(filePath), { recursive: true });
+            await ready;
+            const lines = options.format === 'otlp'
+                ? [JSON.stringify(toOtlpTraceRequest(spans, resource))]
+                : spans.map(span => JSON.stringify(span));
+            await appendFile(filePath, lines.join('\n') + '\n');
+        }
+    };
+}
+
+/**
+ * Sends batches to an OTLP/HTTP collector (JSON encoding), e.g. the OpenTelemetry Collector, Jaeger or Tempo
+ */
+export function otlpHttpSpanExporter(options: { url?: string; headers?: Record<string, string> } = {}): SpanExporter {
+    const url = options.url || 'http://localhost:4318/v1/traces';
+    return {
+        async export(spans, resource) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', ...options.headers },
+                body: JSON.stringify(toOtlpTraceRequest(spans, resource))
+            });
+            if (!response.ok) {
+                throw new Error(`OTLP collector answered ${response.status}`);
+            }
+        }
+    };
+}
+
+type OtlpAnyValue =
+    | { stringValue: string }
+    | { intValue: string }
+    | { doubleValue: number }
+    | { boolValue: boolean }
+    | { arrayValue: { values: OtlpAnyValue[] } };
+type OtlpKeyValue = { key: string; value: OtlpAnyValue };
+
+const OTLP_SPAN_KIND: Record<SpanKind, number> = {
+    internal: 1,
+    server: 2,
+    client: 3
+}
+const OTLP_STATUS_CODE: Record<SpanStatusCode, number> = {
+    unset: 0,
+    ok: 1,
+    error: 2
+}
+
+function toOtlpValue(value: SpanAttributeValue): OtlpAnyValue {
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toOtlpValue) } };
+    }
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: value };
+}
+
+function toOtlpAttributes(attributes: SpanAttributes = {}): OtlpKeyValue[] {
+    return Object.entries(attributes).map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+const toUnixNano = (ms: number) => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+/**
+ * OTLP/JSON `ExportTraceServiceRequest` for a batch of spans
+ */
+export function toOtlpTraceRequest(spans: SpanData[], resource: TraceResource) {
+    return {
+        resourceSpans: [{
+            resource: {
+                attributes: toOtlpAttributes({ 'service.name': resource.serviceName, ...resource.attributes })
+            },
+            scopeSpans: [{
+                scope: { name: '@tsdiapi/server' },
+                spans: spans.map(span => ({
+                    traceId: span.traceId,
+                    spanId: span.spanId,
+                    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+                    ...(span.traceState ? { traceState: span.traceState } : {}),
+                    name: span.name,
+                    kind: OTLP_SPAN_KIND[span.kind],
+                    startTimeUnixNano: toUnixNano(span.startTime),
+                    endTimeUnixNano: toUnixNano(span.endTime),
+                    attributes: toOtlpAttributes(span.attributes),
+                    events: span.events.map(event => ({
+                        timeUnixNano: toUnixNano(event.time),
+                        name: event.name,
+                        attributes: toOtlpAttributes(event.attributes)
+                    })),
+                    status: {
+                        code: OTLP_STATUS_CODE[span.status.code],
+                        ...(span.status.message ? { message: span.status.message } : {})
+                    }
+                }))
+            }]
+        }]
+    };
+}
@@ -2,14 +2,30 @@ import type { FastifyCorsOptions } from '@fastify/cors';
 import type { FastifyHelmetOptions } from '@fastify/helmet';
 import type { FastifyDynamicSwaggerOptions } from '@fastify/swagger';
 import { FastifySwaggerUiConfigOptions, FastifySwaggerUiOptions } from '@fastify/swagger-ui';
-import type { RateLimitPluginOptions } from '@fastify/rate-limit';
-import { FastifyInstance, FastifyRequest, FastifyServerOptions } from "fastify";
+import { FastifyInstance, FastifyRequest, FastifyServerOptions, InjectOptions, LightMyRequestResponse } from "fastify";
 
 import { FastifyStaticOptions } from '@fastify/static';
 import { FastifyMultipartAttachFieldsToBodyOptions, FastifyMultipartBaseOptions } from '@fastify/multipart';
 import { TObject } from '@sinclair/typebox';
+import type { Readable } from 'stream';
 import { AppConfig } from './config-loader.js';
 import { RouteBuilder, StatusSchemas } from './route.js';
+import type { ShutdownOptions } from './shutdown.js';
+import type { HealthCheck, HealthOptions, HealthRegistry } from './health.js';
+import type { ErrorFormat } from './response.js';
+import type { ErrorMapper, ErrorMapperOptions } from './errors.js';
+import type { UploadOptions, UploadStorage } from './uploads.js';
+import type { ResponseValidationMode } from './response-validation.js';
+import type { ClientGeneratorOptions } from './client-generator.js';
+import type { OpenApiBaselineOptions } from './openapi-diff.js';
+import type { VersioningOptions, VersionRegistry } from './versioning.js';
+import type { CacheManager, CacheOptions } from './cache.js';
+import type { LoggingOptions } from './logging.js';
+import type { Tracer, TracingOptions } from './tracing.js';
+import type { MetricsOptions, MetricsRegistry } from './metrics.js';
+import type { AuthOptions, AuthRegistry } from './auth.js';
+import type { SessionManager, SessionOptions } from './session.js';
+import type { AppRateLimitOptions } from './rate-limit.js';
 
 export type UploadFile = {
     fieldname: string;
@@ -17,7 +33,23 @@ export type UploadFile = {
     encoding: string;
     mimetype: string;
     filesize: number;
-    buffer: Buffer | Buffer<ArrayBufferLike>;
+    /**
+     * File contents in 'buffer' upload mode (and with memoryUploadStorage)
+     */
+    buffer?: Buffer | Buffer<ArrayBufferLike>;
+    /**
+     * Temporary file path when streamed to disk storage
+     */
+    path?: string;
+    /**
+     * MIME type detected from the first bytes of the file
+     */
+    detectedMimetype?: string;
+    /**
+     * Read the file contents regardless of upload mode
+     */
+    createReadStream?: () => Readable;
+    storage?: UploadStorage;
     url?: string;
     meta?: Record<string, any>;
     id: string;
@@ -25,22 +57,179 @@ export type UploadFile = {
     s3region?: string;
 }
 
-export type FileLoader = (file: UploadFile, routeBuilder: RouteBuilder) => Promise<UploadFile> | UploadFile;
+export type FileLoader = ((file: UploadFile, routeBuilder: RouteBuilder) => Promise<UploadFile> | UploadFile) & {
+    /**
+     * Delete a loaded file again, called for requests that end with an error response
+     */
+    remove?: (file: UploadFile) => Promise<void> | void;
+    /**
+     * Serve loaded files through @fastify/static
+     */
+    staticOptions?: FastifyStaticOptions;
+};
 
 export type AppOptionHandler<T> = (defaultOptions: T) => T;
 export interface AppOptions<T extends object = Record<string, any>> {
     apiDir?: string;
     configSchema?: TObject;
     logger?: boolean;
+    /**
+     * Request id and log context settings.
+     * Request ids come from `X-Request-Id` (or the `traceparent` trace id) and are echoed back;
+     * with `logger: true` every `fastify.log`/`request.log` line carries request context fields,
+     * the same as `getLogger()` in services.
+     * 
+     * @default { level: 'info', requestIdHeader: 'x-request-id', useTraceparent: true, responseHeader: 'x-request-id' }
+     */
+    loggingOptions?: LoggingOptions | AppOptionHandler<LoggingOptions>;
+    /**
+     * W3C Trace Context tracing. Every request gets a server span continuing an incoming `traceparent`;
+     * RouteBuilder routes add spans for resolver, guards, handler and serialization, services add their own
+     * with `withSpan()`. Spans go to pluggable exporters (console, JSON file, OTLP/HTTP).
+     * 
+     * @default false
+     * 
+     * @example
+     * ```typescript
+     * createApp({
+     *   tracingOptions: { exporters: [jsonFileSpanExporter('./logs/spans.jsonl')], ignorePaths: ['/health/live'] }
+     * });
+     * ```
+     */
+    tracingOptions?: TracingOptions | boolean | AppOptionHandler<TracingOptions>;
     fileLoader?: FileLoader;
     fastifyOptions?: AppOptionHandler<FastifyServerOptions>;
+    /**
+     * Authentication strategies behind `.auth()`: JWT (HS256/RS256 with a secret, public key or JWKS file)
+     * for 'bearer', a verifier for 'basic', key lookup for 'apiKey', plus custom `strategies`.
+     * 
+     * @example
+     * ```typescript
+     * createApp({
+     *   authOptions: {
+     *     jwt: { secret: process.env.JWT_SECRET, issuer: 'https://auth.example.com' },
+     *     apiKey: { lookup: (key) => prisma.apiKey.findUnique({ where: { key } }) }
+     *   }
+     * });
+     * ```
+     */
+    authOptions?: AuthOptions | AppOptionHandler<AuthOptions>;
+    /**
+     * Cookie sessions as `req.session`: a signed session id cookie backed by a pluggable store
+     * (in-memory by default) or data encrypted into the cookie with `store: 'cookie'`.
+     * Enables `.auth('session')` and CSRF checks of unsafe requests carrying the session cookie.
+     * 
+     * @default false
+     * 
+     * @example
+     * ```typescript
+     * createApp({
+     *   sessionOptions: { secret: process.env.SESSION_SECRET, csrf: { cookieName: 'XSRF-TOKEN' } }
+     * });
+     * ```
+     */
+    sessionOptions?: SessionOptions | boolean | AppOptionHandler<SessionOptions>;
     corsOptions?: FastifyCorsOptions | boolean | AppOptionHandler<FastifyCorsOptions>;
     helmetOptions?: FastifyHelmetOptions | boolean | AppOptionHandler<FastifyHelmetOptions>;
-    rateLimitOptions?: RateLimitPluginOptions | boolean | AppOptionHandler<RateLimitPluginOptions>;
+    /**
+     * @fastify/rate-limit settings. Limits are keyed by the authenticated principal (or API key, or IP),
+     * `tiers` select quotas per request, responses carry `RateLimit-*` headers and 429s use the error envelope.
+     * 
+     * @default { global: false, max: 100, timeWindow: '1 minute', hook: 'preHandler', enableDraftSpec: true, keyGenerator: rateLimitKey }
+     */
+    rateLimitOptions?: AppRateLimitOptions | boolean | AppOptionHandler<AppRateLimitOptions>;
     swaggerOptions?: AppOptionHandler<FastifyDynamicSwaggerOptions> | FastifyDynamicSwaggerOptions;
     swaggerUiOptions?: AppOptionHandler<FastifySwaggerUiOptions> | FastifySwaggerUiOptions;
     staticOptions?: AppOptionHandler<FastifyStaticOptions> | FastifyStaticOptions | boolean;
     multipartOptions?: AppOptionHandler<FastifyMultipartAttachFieldsToBodyOptions> | FastifyMultipartAttachFieldsToBodyOptions;
+    /**
+     * Upload handling: buffer parts in memory (default) or stream them to a storage adapter
+     */
+    uploadOptions?: UploadOptions | AppOptionHandler<UploadOptions>;
+    /**
+     * Graceful shutdown on SIGINT/SIGTERM: drain in-flight requests, run onShutdown hooks,
+     * force exit only when `timeout` expires. Pass false to install no signal handlers.
+     */
+    shutdownOptions?: ShutdownOptions | boolean | AppOptionHandler<ShutdownOptions>;
+    /**
+     * Opt-in liveness and readiness routes (`/health/live`, `/health/ready`).
+     * Readiness aggregates checks from `checks`, `AppPlugin.healthChecks` and `ctx.health.register()`.
+     * @default false
+     */
+    healthOptions?: HealthOptions | boolean | AppOptionHandler<HealthOptions>;
+    /**
+     * Opt-in Prometheus endpoint (`/metrics`) with request counts and latency histograms by method,
+     * route pattern and status code, in-flight requests, upload sizes and rate-limit rejections.
+     * Custom metrics are registered through `ctx.metrics` whether the endpoint is enabled or not.
+     * @default false
+     */
+    metricsOptions?: MetricsOptions | boolean | AppOptionHandler<MetricsOptions>;
+    /**
+     * Envelope for ResponseError payloads and documented error schemas
+     * 
+     * @default 'tsdiapi' - { status, data: { error, details } }
+     * 
+     * 'problem+json' emits RFC 7807 documents as application/problem+json:
+     * { type, title, status, detail, instance, details }
+     */
+    errorFormat?: ErrorFormat;
+    /**
+     * Options for the global error mapper (`ctx.errors`)
+     * 
+     * `hideUnmapped` (default: true in production) replaces messages of unmapped errors
+     * with "Internal server error" and a correlation id that is logged with the original error.
+     */
+    errorMapperOptions?: ErrorMapperOptions;
+    /**
+     * Negotiation of routes registered with `.version()`.
+     * Versioned routes stay reachable under `/v{n}/`; their unversioned URL resolves to the
+     * highest version compatible with the `Accept-Version` header, or to `fallback` without it.
+     * Opt-in: without this option (or with `false`) versioning is URL-only; `true` uses the defaults
+     * `{ header: 'accept-version', fallback: 'latest', defaultVersion: API_VERSION }`.
+     * 
+     * @default false
+     */
+    versioning?: VersioningOptions | boolean | AppOptionHandler<VersioningOptions>;
+    /**
+     * Response cache used by `.cache()` routes (in-memory LRU by default) and ETag handling.
+     * JSON GET responses get an ETag and `If-None-Match` is answered with 304 unless `etag: false`.
+     * 
+     * @default { maxEntries: 1000, etag: 'strong' }
+     */
+    cacheOptions?: CacheOptions | AppOptionHandler<CacheOptions>;
+    /**
+     * Default handling of outgoing payloads against declared response schemas, overridable per route
+     * 
+     * @default 'off'
+     * 
+     * - 'strip' removes properties that are not declared in the schema for the status code
+     * - 'strict' strips as well and, in development, fails with a 500 listing every mismatch
+     */
+    responseValidation?: ResponseValidationMode;
+    /**
+     * Write a typed TypeScript client for all registered routes after `fastify.ready()`
+     * 
+     * @example
+     * ```typescript
+     * createApp({
+     *   clientGenerator: { output: '../web/src/api/client.ts' }
+     * });
+     * ```
+     */
+    clientGenerator?: ClientGeneratorOptions;
+    /**
+     * Compare the generated OpenAPI document with a previously exported one after `fastify.ready()`
+     * and report breaking changes (removed operations, new required fields, narrowed enums,
+     * removed response fields, removed status codes)
+     * 
+     * @example
+     * ```typescript
+     * createApp({
+     *   openApiBaseline: { path: './openapi.json', failOnBreaking: process.env.CI === 'true' }
+     * });
+     * ```
+     */
+    openApiBaseline?: OpenApiBaselineOptions;
     plugins?: AppPlugin[];
     /**
      * Legacy option: Enable automatic schema registration from .schemas.ts files
@@ -76,10 +265,25 @@ export interface AppOptions<T extends object = Record<string, any>> {
      * ```
      */
     logDuplicateSchemas?: boolean;
+    /**
+     * Start the HTTP listener after the app is ready
+     * 
+     * @default true
+     * 
+     * When disabled, the full loading pipeline runs (services, modules, loaders, schemas, plugin hooks)
+     * but no port is searched, nothing listens, no banners are printed and no signal handlers are installed.
+     * Errors are thrown instead of exiting the process. Used by `createTestApp()`.
+     */
+    listen?: boolean;
     onInit?(ctx: AppContext<T>): Promise<void> | void;
     beforeStart?(ctx: AppContext<T>): Promise<void> | void;
     preReady?(ctx: AppContext<T>): Promise<void> | void;
     afterStart?(ctx: AppContext<T>): Promise<void> | void;
+    /**
+     * Called on shutdown after the server stopped accepting connections and in-flight requests are done.
+     * Runs before plugin onShutdown hooks (reverse registration order).
+     */
+    onShutdown?(ctx: AppContext<T>): Promise<void> | void;
 }
 
 export type Env = 'production' | 'development';
@@ -92,18 +296,65 @@ export interface AppContext<T extends object = Record<string, any>> {
     projectConfig: AppConfig<T>;
     projectPackage: Record<string, any>;
     plugins?: Record<string, AppPlugin>;
+    health: HealthRegistry;
+    errors: ErrorMapper;
+    /**
+     * Registered route versions, absent when `versioning` is disabled
+     */
+    versions?: VersionRegistry;
+    /**
+     * Response cache, `ctx.cache.invalidate(tags)` drops cached responses
+     */
+    cache: CacheManager;
+    /**
+     * Span tracer, absent when `tracingOptions` is disabled
+     */
+    tracer?: Tracer;
+    /**
+     * Counters, gauges and histograms served by the metrics endpoint
+     */
+    metrics: MetricsRegistry;
+    /**
+     * Authentication strategies used by `.auth()`
+     */
+    auth: AuthRegistry;
+    /**
+     * Session loading and storage, absent when `sessionOptions` is disabled
+     */
+    sessions?: SessionManager;
     useRoute: <Params extends TObject = TObject, Body extends TObject = TObject, Query extends TObject = TObject, Headers extends TObject = TObject, TResponses extends StatusSchemas = {}, TState = unknown>(controller?: string) => RouteBuilder<Params, Body, Query, Headers, TResponses, TState>;
 }
 
+export type TestInjectResponse<R = unknown> = LightMyRequestResponse & {
+    json<T = R>(): T;
+};
+
+export interface TestAppContext<T extends object = Record<string, any>> extends AppContext<T> {
+    /**
+     * Send an in-memory request through Fastify's `inject`, no socket involved
+     */
+    inject<R = unknown>(options: InjectOptions | string): Promise<TestInjectResponse<R>>;
+    /**
+     * Close the Fastify instance and run onShutdown hooks
+     */
+    close(): Promise<void>;
+}
+
 export type Constructor<T = any> = new (...args: any[]) => T;
 export interface AppPlugin<T extends object = Record<string, any>, P extends object = Record<string, any>> {
     name: string;
     services?: Constructor<unknown>[];
     config?: P;
+    healthChecks?: HealthCheck[];
     onInit?(ctx: AppContext<T>): Promise<void> | void;
     beforeStart?(ctx: AppContext<T>): Promise<void> | void;
     afterStart?(ctx: AppContext<T>): Promise<void> | void;
     preReady?(ctx: AppContext<T>): Promise<void> | void;
+    /**
+     * Release resources owned by the plugin (DB clients, queues, sockets).
+     * Plugins are shut down in reverse registration order.
+     */
+    onShutdown?(ctx: AppContext<T>): Promise<void> | void;
 }
 
 export type AppMainOptions = {
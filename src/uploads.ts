@@ -0,0 +1,257 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import type { MultipartFile } from '@fastify/multipart';
+import { fileTypeFromBuffer } from 'file-type';
+import { AppOptions, FileLoader, UploadFile } from './types.js';
+
+/**
+ * Number of leading bytes used to detect the real MIME type of an upload
+ */
+export const MIME_SNIFF_BYTES = 4100;
+
+/**
+ * Where streamed uploads are written while the request is processed.
+ * Stored files are removed after the response is sent.
+ */
+export interface UploadStorage {
+    name: string;
+    /**
+     * Consume the stream and store it; set `file.path` or `file.buffer` so the file can be read back
+     */
+    write(file: UploadFile, stream: Readable): Promise<void>;
+    /**
+     * Open the stored file for reading
+     */
+    createReadStream(file: UploadFile): Readable;
+    /**
+     * Remove stored data (also called for partially written files)
+     */
+    remove(file: UploadFile): Promise<void>;
+}
+
+export type UploadOptions = {
+    /**
+     * - 'buffer': every part is read into memory (file.buffer)
+     * - 'stream': parts are piped to `storage` as they arrive, size limits are enforced mid-stream
+     * @default 'buffer'
+     */
+    mode?: 'buffer' | 'stream';
+    /**
+     * Storage for 'stream' mode
+     * @default diskUploadStorage()
+     */
+    storage?: UploadStorage;
+}
+
+export function diskUploadStorage(options: { dir?: string } = {}): UploadStorage {
+    const dir = options.dir || path.join(os.tmpdir(), 'tsdiapi-uploads');
+    return {
+        name: 'disk',
+        async write(file, stream) {
+            await mkdir(dir, { recursive: true });
+            const filePath = path.join(dir, path.basename(file.id));
+            file.path = filePath;
+            await pipeline(stream, createWriteStream(filePath));
+        },
+        createReadStream(file) {
+            return createReadStream(file.path);
+        },
+        async remove(file) {
+            if (file.path) {
+                await rm(file.path, { force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Keeps uploads in memory, intended for tests
+ */
+export function memoryUploadStorage(): UploadStorage {
+    return {
+        name: 'memory',
+        async write(file, stream) {
+            const chunks: Buffer[] = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk as Buffer);
+            }
+            file.buffer = Buffer.concat(chunks);
+        },
+        createReadStream(file) {
+            return Readable.from(file.buffer || Buffer.alloc(0));
+        },
+        async remove(file) {
+            file.buffer = undefined;
+        }
+    };
+}
+
+const defaultUploads: UploadOptions = {
+    mode: 'buffer'
+}
+
+export function setupUploads(uploadOptions?: AppOptions['uploadOptions']): UploadOptions {
+    let options: UploadOptions = defaultUploads;
+    if ('function' === typeof uploadOptions) {
+        options = uploadOptions(defaultUploads);
+    } else if ('object' === typeof uploadOptions) {
+        options = { ...defaultUploads, ...uploadOptions };
+    }
+    if (options.mode === 'stream' && !options.storage) {
+        options = { ...options, storage: diskUploadStorage() };
+    }
+    return options;
+}
+
+/**
+ * Pipe a multipart part into storage.
+ * Bytes beyond `maxFileSize` are drained without being stored, the partial file is removed
+ * and `file.filesize` reports the full size so route file options reject it.
+ * MIME sniffing only looks at the first MIME_SNIFF_BYTES bytes.
+ */
+export async function streamUploadPart(part: MultipartFile, file: UploadFile, storage: UploadStorage, maxFileSize?: number): Promise<void> {
+    const head: Buffer[] = [];
+    let headSize = 0;
+    let exceeded = false;
+    file.filesize = 0;
+
+    async function* limited() {
+        for await (const chunk of part.file) {
+            file.filesize += chunk.length;
+            if (exceeded) continue;
+            if (maxFileSize && file.filesize > maxFileSize) {
+                exceeded = true;
+                continue;
+            }
+            if (headSize < MIME_SNIFF_BYTES) {
+                head.push(chunk);
+                headSize += chunk.length;
+            }
+            yield chunk;
+        }
+        // Thrown after the part is fully drained so the multipart parser keeps going
+        if (exceeded) {
+            throw new Error(`File "${file.filename}" exceeds max size of ${maxFileSize} bytes.`);
+        }
+    }
+
+    try {
+        await storage.write(file, Readable.from(limited()));
+    } catch (error) {
+        await storage.remove(file).catch((): void => undefined);
+        if (!exceeded) throw error;
+        return;
+    }
+    const fileType = await fileTypeFromBuffer(Buffer.concat(head).subarray(0, MIME_SNIFF_BYTES));
+    file.detectedMimetype = fileType?.mime;
+    file.createReadStream = () => storage.createReadStream(file);
+    file.storage = storage;
+}
+
+export type DiskFileLoaderOptions = {
+    /**
+     * Directory where uploads are persisted
+     * @default '<cwd>/uploads'
+     */
+    dir?: string;
+    /**
+     * URL prefix the directory is served under
+     * @default '/uploads/'
+     */
+    publicPrefix?: string;
+    /**
+     * File name inside `dir`
+     * @default `${file.id}${extension}` with the extension of the sniffed MIME type (none for unknown types),
+     * never the client-supplied one
+     */
+    naming?: (file: UploadFile) => string;
+    /**
+     * Serve `dir` under `publicPrefix` through @fastify/static
+     * @default true
+     */
+    serve?: boolean;
+}
+
+/**
+ * Extensions of sniffed MIME types that are safe to store and serve inline
+ */
+const SAFE_UPLOAD_EXTENSIONS: Record<string, string> = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/avif': '.avif',
+    'image/bmp': '.bmp',
+    'application/pdf': '.pdf',
+    'audio/mpeg': '.mp3',
+    'audio/ogg': '.ogg',
+    'audio/wav': '.wav',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm'
+}
+
+const INLINE_UPLOAD_EXTENSIONS = new Set(Object.values(SAFE_UPLOAD_EXTENSIONS));
+
+/**
+ * FileLoader that persists uploads to a local directory and serves them as static files.
+ * Files of requests that end with an error response are deleted again.
+ * Stored names never take the client's extension, and served files carry `X-Content-Type-Options: nosniff`;
+ * anything that is not a known image, audio, video or PDF is sent with `Content-Disposition: attachment`.
+ *
+ * @example
+ * ```typescript
+ * createApp({
+ *     fileLoader: diskFileLoader({ dir: './storage/uploads', publicPrefix: '/files/' })
+ * });
+ * ```
+ */
+export function diskFileLoader(options: DiskFileLoaderOptions = {}): FileLoader {
+    const dir = path.resolve(options.dir || 'uploads');
+    const publicPrefix = `/${(options.publicPrefix || '/uploads/').replace(/^\/+|\/+$/g, '')}/`;
+    const naming = options.naming || ((file: UploadFile) => `${file.id}${SAFE_UPLOAD_EXTENSIONS[file.detectedMimetype || ''] || ''}`);
+
+    const loader: FileLoader = async (file) => {
+        await mkdir(dir, { recursive: true });
+        if (!file.detectedMimetype && file.buffer) {
+            file.detectedMimetype = (await fileTypeFromBuffer(file.buffer.subarray(0, MIME_SNIFF_BYTES)))?.mime;
+        }
+        // Never let a naming function escape the upload directory
+        const storedName = path.basename(naming(file));
+        const filePath = path.join(dir, storedName);
+        const source = file.createReadStream ? file.createReadStream() : Readable.from(file.buffer || Buffer.alloc(0));
+        await pipeline(source, createWriteStream(filePath));
+        return {
+            ...file,
+            url: `${publicPrefix}${encodeURIComponent(storedName)}`,
+            meta: {
+                ...file.meta,
+                storage: 'disk',
+                path: filePath,
+                storedName
+            }
+        };
+    };
+    loader.remove = async (file) => {
+        if (file.meta?.storage === 'disk' && file.meta.path) {
+            await rm(file.meta.path, { force: true });
+        }
+    };
+    if (options.serve !== false) {
+        loader.staticOptions = {
+            root: dir,
+            prefix: publicPrefix,
+            decorateReply: false,
+            setHeaders: (res, filePath) => {
+                res.setHeader('X-Content-Type-Options', 'nosniff');
+                if (!INLINE_UPLOAD_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+                    res.setHeader('Content-Disposition', 'attachment');
+                }
+            }
+        };
+    }
+    return loader;
+}
@@ -0,0 +1,224 @@
+import type { IncomingMessage } from 'http';
+import { AppOptions } from './types.js';
+
+/**
+ * Version served when `fallback: 'default'` is configured and a request carries no version header
+ */
+export const API_VERSION = 'v1';
+
+/**
+ * What to serve when a request has no version header
+ * - 'latest': the highest registered version of the route
+ * - 'default': the highest version compatible with `defaultVersion`
+ * - 'none': no negotiation, the unversioned URL is routed as is
+ */
+export type VersionFallback = 'latest' | 'default' | 'none';
+
+export type VersioningOptions = {
+    /**
+     * Request header carrying the wanted version ("2", "v2", "2.1", "2.x")
+     * @default 'accept-version'
+     */
+    header?: string;
+    /**
+     * @default 'latest'
+     */
+    fallback?: VersionFallback;
+    /**
+     * @default API_VERSION
+     */
+    defaultVersion?: string;
+}
+
+export type DeprecationOptions = {
+    /**
+     * When the operation was deprecated, sent as `Deprecation: @<unix time>` (RFC 9745), otherwise `Deprecation: true`
+     */
+    since?: Date | string;
+    /**
+     * When the operation stops working, sent as the `Sunset` header (RFC 8594)
+     */
+    sunset?: Date | string;
+    /**
+     * Migration guide, sent as `Link: <url>; rel="deprecation"`
+     */
+    link?: string;
+}
+
+const defaultVersioning: VersioningOptions = {
+    header: 'accept-version',
+    fallback: 'latest',
+    defaultVersion: API_VERSION
+}
+
+export function setupVersioning(versioning?: AppOptions['versioning']): VersioningOptions | false {
+    if (!versioning) {
+        return false;
+    }
+    if ('function' === typeof versioning) {
+        return versioning(defaultVersioning);
+    }
+    if ('object' === typeof versioning) {
+        return { ...defaultVersioning, ...versioning };
+    }
+    // Header negotiation rewrites URLs before routing, so it is opt-in
+    return versioning === true ? defaultVersioning : false;
+}
+
+/**
+ * Headers announcing a deprecated operation
+ */
+export function deprecationHeaders(options: DeprecationOptions = {}): Record<string, string> {
+    const headers: Record<string, string> = {
+        'Deprecation': options.since ? `@${Math.floor(new Date(options.since).getTime() / 1000)}` : 'true'
+    };
+    if (options.sunset) {
+        headers['Sunset'] = new Date(options.sunset).toUTCString();
+    }
+    if (options.link) {
+        headers['Link'] = `<${options.link}>; rel="deprecation"`;
+    }
+    return headers;
+}
+
+function parseVersion(version: string): string[] {
+    return String(version).trim().replace(/^v/i, '').split('.').filter(Boolean);
+}
+
+function compareVersions(a: string[], b: string[]): number {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const left = Number(a[i] ?? 0);
+        const right = Number(b[i] ?? 0);
+        if (isNaN(left) || isNaN(right)) {
+            const result = String(a[i] ?? '').localeCompare(String(b[i] ?? ''));
+            if (result) return result;
+        } else if (left !== right) {
+            return left - right;
+        }
+    }
+    return 0;
+}
+
+/**
+ * "2" and "2.x" accept 2.0 and 2.3, "2.1" accepts 2.1.4, "x" accepts anything
+ */
+function isCompatible(requested: string[], version: string[]): boolean {
+    return requested.every((segment, index) => segment === 'x' || segment === '*' || segment === version[index]);
+}
+
+type VersionGroup = {
+    method: string;
+    pattern: RegExp;
+    /**
+     * Number of leading path segments before the version segment (prefix + controller)
+     */
+    insertAt: number;
+    versions: Array<{ version: string; segments: string[] }>;
+    hasUnversioned: boolean;
+    /**
+     * Per path segment: 2 static, 1 parameter, 0 wildcard; compared to pick the most specific match
+     */
+    specificity: number[];
+}
+
+function compareSpecificity(a: number[], b: number[]): number {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const difference = (a[i] ?? -1) - (b[i] ?? -1);
+        if (difference) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Routes registered with `.version()` stay reachable under `/v{n}/` and are also negotiated
+ * on their unversioned URL: requests are rewritten to the highest compatible version
+ * before routing, based on the version header or the fallback policy.
+ */
+export class VersionRegistry {
+    private readonly groups = new Map<string, VersionGroup>();
+
+    constructor(public readonly options: VersioningOptions) { }
+
+    /**
+     * @param basePath route URL without the version segment, e.g. `/api/users/:id`
+     * @param insertAt number of path segments preceding the version segment
+     */
+    public register(method: string, basePath: string, version: string | null, insertAt: number): void {
+        const key = `${method} ${basePath}`;
+        let group = this.groups.get(key);
+        if (!group) {
+            const source = basePath
+                .split('/')
+                .map(segment => segment.startsWith(':') ? '[^/]+' : segment === '*' ? '.*' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('/');
+            const specificity = basePath
+                .split('/')
+                .filter(Boolean)
+                .map(segment => segment.startsWith(':') ? 1 : segment === '*' ? 0 : 2);
+            group = { method, pattern: new RegExp(`^${source}/?$`), insertAt, versions: [], hasUnversioned: false, specificity };
+            this.groups.set(key, group);
+        }
+        if (version) {
+            group.versions.push({ version, segments: parseVersion(version) });
+            group.versions.sort((a, b) => compareVersions(b.segments, a.segments));
+        } else {
+            group.hasUnversioned = true;
+        }
+    }
+
+    /**
+     * Versions registered for a route, highest first
+     */
+    public getVersions(method: string, basePath: string): string[] {
+        return (this.groups.get(`${method} ${basePath}`)?.versions || []).map(entry => entry.version);
+    }
+
+    /**
+     * Pick the version to serve, undefined when the request is routed unchanged
+     */
+    private negotiate(group: VersionGroup, requested?: string): string | undefined {
+        if (!requested) {
+            if (group.hasUnversioned) return undefined;
+            switch (this.options.fallback) {
+                case 'latest':
+                    return group.versions[0]?.version;
+                case 'default':
+                    requested = this.options.defaultVersion;
+                    break;
+                default:
+                    return undefined;
+            }
+            if (!requested) return undefined;
+        }
+        const wanted = parseVersion(requested);
+        return group.versions.find(entry => isCompatible(wanted, entry.segments))?.version;
+    }
+
+    /**
+     * URL rewriter for Fastify's `rewriteUrl` option.
+     * The most specific route matching the URL decides, the way the router would pick it:
+     * a static `/users/me` wins over a versioned `/users/:id`.
+     */
+    public rewrite(req: IncomingMessage): string {
+        const url = req.url || '/';
+        if (!this.groups.size) return url;
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        const queryIndex = url.indexOf('?');
+        const pathname = queryIndex === -1 ? url : url.slice(0, queryIndex);
+        let match: VersionGroup | undefined;
+        for (const group of this.groups.values()) {
+            if (group.method !== method || !group.pattern.test(pathname)) continue;
+            if (!match || compareSpecificity(group.specificity, match.specificity) > 0) {
+                match = group;
+            }
+        }
+        if (!match?.versions.length) return url;
+        const header = req.headers[(this.options.header || 'accept-version').toLowerCase()];
+        const version = this.negotiate(match, Array.isArray(header) ? header[0] : header);
+        if (!version) return url;
+        const segments = pathname.split('/');
+        // Leading empty segment comes from the leading slash
+        segments.splice(match.insertAt + 1, 0, `v${version}`);
+        return segments.join('/') + (queryIndex === -1 ? '' : url.slice(queryIndex));
+    }
+}